@@ -1,80 +1,163 @@
 #!/usr/bin/env node
 
-const { execSync, spawnSync } = require('child_process');
+const { spawnSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const readline = require('readline');
+const yaml = require('js-yaml');
+const autocompletePrompt = require('inquirer-autocomplete-prompt');
+const {
+  UsageError,
+  formatHelp,
+  formatOptions,
+  list,
+  parseArgs,
+  positiveInteger,
+  suggest,
+} = require('../lib/args');
+const { SHELLS, completePath, completeWords, completionScript } = require('../lib/completion');
+const { DEFAULT_HOST, normalizeGitUrl, parseGitUrl } = require('../lib/git-url');
+const {
+  CONFIG_VERSION,
+  ConfigError,
+  getConfigPath,
+  getConfigValue,
+  listConfigValues,
+  listSettingNames,
+  parseConfigValue,
+  readConfigFile,
+  readLocalConfig,
+  setConfigValue,
+  unsetConfigValue,
+  writeConfigFile,
+} = require('../lib/config');
+const {
+  CLONE_RETRIES,
+  DEFAULT_JOBS,
+  cancelActiveClones,
+  checkGitInstalled,
+  cloneTransactional,
+  getCurrentBranch,
+  hasActiveClones,
+  resolveCloneOptions,
+  runWithConcurrency,
+} = require('../lib/clone');
+const {
+  DestinationError,
+  findMatchingRules,
+  matchesPattern,
+  resolveDestination,
+  resolveLayoutPath,
+  validateFolderName,
+  validatePathWithinProjectsDir,
+} = require('../lib/destination');
+const {
+  EDITOR_PRESETS,
+  NO_EDITOR,
+  TERMINAL_EDITOR,
+  detectEditors,
+  findExecutable,
+  formatEditorCommand,
+  openInEditor: launchEditor,
+  resolveEditor,
+} = require('../lib/editor');
+const { ForgeError, createFork, getForge, listRepositories, resolveForge } = require('../lib/forge');
+const { PROTOCOL_CHOICES, convertUrl, identityGitConfig, resolveProtocol } = require('../lib/identity');
+const { detectSetupSteps, runStep } = require('../lib/hooks');
+const { syncRepository } = require('../lib/sync');
+const {
+  findPreviousClones,
+  moveHistoryPaths,
+  readHistory,
+  recentClones,
+  recordCloneResult,
+} = require('../lib/history');
+const { moveDirectory, removeDir, updateWorkspaceFiles } = require('../lib/move');
+const { ARCHIVE_FORMATS, archiveRepository, inspectRepository } = require('../lib/prune');
+const { TemplateError, checkGitIdentity, createFromTemplate } = require('../lib/template');
+const {
+  DEFAULT_SCAN_DEPTH,
+  findClonesOf,
+  findRepositories,
+  isSkippedDir,
+  readRemotes,
+  scanRepositories,
+} = require('../lib/scan');
+const { parseDuration, repositoryStatus } = require('../lib/status');
+const {
+  applyLocalOverrides,
+  applyWorkspace,
+  expandHome,
+  findWorkspaceFor,
+  getDefaultProjectsDir,
+  getDefaultWorkspace,
+  listWorkspaces,
+  loadConfig,
+} = require('../lib/workspace');
+
+inquirer.registerPrompt('autocomplete', autocompletePrompt);
 
 // Configuration management
-function getConfigPath() {
-  const homeDir = os.homedir();
-  const configDir = path.join(homeDir, '.config', 'git-clone-select');
-  const configFile = path.join(configDir, 'config.json');
-  return { configDir, configFile };
+function formatConfigError(err) {
+  return [err.message, ...err.problems.map(problem => `  - ${problem}`)].join('\n');
 }
 
-function getDefaultProjectsDir() {
-  const homeDir = os.homedir();
-  // Platform-specific defaults
-  if (process.platform === 'win32') {
-    return path.join(homeDir, 'Projects');
-  }
-  // macOS/Linux: Try Developer/Projects first, fallback to Projects
-  const developerProjects = path.join(homeDir, 'Developer', 'Projects');
-  if (fs.existsSync(path.join(homeDir, 'Developer'))) {
-    return developerProjects;
+// A broken config is an error rather than a reason to run setup again, which
+// would overwrite it
+function readConfig(options = {}) {
+  const { configFile } = getConfigPath();
+  
+  try {
+    return readConfigFile(configFile, options);
+  } catch (err) {
+    if (!(err instanceof ConfigError)) {
+      throw err;
+    }
+    error(`${formatConfigError(err)}\nFix it with: git-clone-select config edit`, EXIT_CODES.CONFIG);
   }
-  return path.join(homeDir, 'Projects');
 }
 
-function loadConfig() {
-  // Check environment variable first
-  if (process.env.GIT_CLONE_PROJECTS_DIR) {
-    return process.env.GIT_CLONE_PROJECTS_DIR;
-  }
-  
-  const { configFile } = getConfigPath();
-  
-  if (fs.existsSync(configFile)) {
-    try {
-      const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
-      if (config.projectsDir) {
-        return config.projectsDir;
-      }
-    } catch (err) {
-      log(`Warning: Could not read config file: ${err.message}`, 'warning');
-      return null;
+// Settings from the nearest .git-clone-select.json, or null
+function readLocalOverrides() {
+  try {
+    return readLocalConfig(process.cwd());
+  } catch (err) {
+    if (!(err instanceof ConfigError)) {
+      throw err;
     }
+    error(formatConfigError(err), EXIT_CODES.CONFIG);
   }
-  
-  return null; // No config found, needs setup
 }
 
-function saveConfig(projectsDir) {
-  const { configDir, configFile } = getConfigPath();
+function updateConfig(changes) {
+  const { configFile } = getConfigPath();
   
   try {
-    // Create config directory if it doesn't exist
-    if (!fs.existsSync(configDir)) {
-      fs.mkdirSync(configDir, { recursive: true });
-    }
-    
-    const config = {
-      projectsDir: projectsDir,
-      createdAt: new Date().toISOString(),
+    // Keep settings that aren't being changed; an undefined change removes the setting
+    const existing = readConfig();
+    const merged = {
+      ...existing,
+      ...changes,
+      createdAt: existing.createdAt || new Date().toISOString(),
     };
-    
-    fs.writeFileSync(configFile, JSON.stringify(config, null, 2), 'utf8');
+    Object.keys(changes).filter(key => changes[key] === undefined).forEach((key) => {
+      delete merged[key];
+    });
+    writeConfigFile(configFile, merged);
     return true;
   } catch (err) {
-    log(`Error saving config: ${err.message}`, 'error');
+    log(`Error saving config: ${err instanceof ConfigError ? formatConfigError(err) : err.message}`, 'error');
     return false;
   }
 }
 
+function saveConfig(projectsDir) {
+  return updateConfig({ projectsDir });
+}
+
 async function setupConfig() {
   const defaultDir = getDefaultProjectsDir();
   
@@ -138,8 +221,60 @@ async function setupConfig() {
   }
 }
 
-function getProjectsDir() {
-  return loadConfig();
+async function selectWorkspace(config, options) {
+  const workspaces = listWorkspaces(config);
+  const names = Object.keys(workspaces);
+
+  if (options.workspace) {
+    if (!workspaces[options.workspace]) {
+      error(`Unknown workspace "${options.workspace}". Available: ${names.join(', ') || 'none'}`, EXIT_CODES.USAGE);
+    }
+    return options.workspace;
+  }
+
+  const defaultName = getDefaultWorkspace(config);
+  // GIT_CLONE_PROJECTS_DIR replaces the directory anyway, so there is nothing to pick
+  if (names.length <= 1 || options.yes || !isInteractive() || process.env.GIT_CLONE_PROJECTS_DIR) {
+    return defaultName;
+  }
+
+  const { workspace } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'workspace',
+      message: 'Choose a workspace:',
+      default: defaultName,
+      choices: names.map(name => ({
+        name: `${name} ${chalk.dim(workspaces[name].projectsDir)}`,
+        value: name,
+        short: name,
+      })),
+    },
+  ]);
+  return workspace;
+}
+
+// Load or setup configuration, then narrow it down to one workspace.
+// Returns { config, projectsDir } with the projects directory created.
+async function loadWorkspaceConfig(options) {
+  let config = readConfig();
+  const local = readLocalOverrides();
+  const localProjectsDir = local && local.config.projectsDir;
+  
+  if (!process.env.GIT_CLONE_PROJECTS_DIR && !localProjectsDir && Object.keys(listWorkspaces(config)).length === 0) {
+    if (!isInteractive()) {
+      error('No configuration found. Run git-clone-select --set-config <path> or set GIT_CLONE_PROJECTS_DIR.', EXIT_CODES.NEEDS_INPUT);
+    }
+    await setupConfig();
+    config = readConfig();
+  }
+
+  config = applyLocalOverrides(applyWorkspace(config, await selectWorkspace(config, options)), local);
+  const projectsDir = process.env.GIT_CLONE_PROJECTS_DIR || config.projectsDir;
+  
+  // Validate projects directory exists
+  await ensureProjectsDirectory(projectsDir, options);
+  return { config, projectsDir };
 }
 
 // Ensure the script has execute permissions
@@ -152,37 +287,156 @@ process.on('exit', () => {
   }
 });
 
+// Set from --json, --quiet and --verbose before a command runs
+const output = {
+  json: false,
+  level: 'normal',
+};
+
+// The quietest level at which each kind of message is still shown
+const LOG_LEVELS = { quiet: 0, normal: 1, verbose: 2 };
+const MESSAGE_LEVELS = {
+  error: 'quiet',
+  warning: 'quiet',
+  info: 'normal',
+  success: 'normal',
+  detail: 'normal',
+  debug: 'verbose',
+};
+
+function configureOutput(settings) {
+  if (settings.json) {
+    output.json = true;
+  }
+  if (settings.quiet) {
+    output.level = 'quiet';
+  }
+  if (settings.verbose) {
+    output.level = 'verbose';
+  }
+  // chalk already leaves out colors when stdout isn't a terminal
+  if (output.json || process.env.NO_COLOR) {
+    chalk.level = 0;
+  }
+}
+
+// How commands run by the tool (hooks, git fetch) should treat stdout:
+// with --json it goes to stderr so stdout only carries the result
+function childStdio() {
+  if (output.json) {
+    return ['inherit', 2, 'inherit'];
+  }
+  return output.level === 'quiet' ? ['inherit', 'ignore', 'inherit'] : 'inherit';
+}
+
 function log(message, type = 'info') {
   const colors = {
     info: chalk.blue,
     success: chalk.green,
     error: chalk.red,
     warning: chalk.yellow,
+    detail: chalk.dim,
+    debug: chalk.dim,
+  };
+  if (LOG_LEVELS[output.level] < LOG_LEVELS[MESSAGE_LEVELS[type]]) {
+    return;
+  }
+  (output.json ? console.error : console.log)(colors[type](message));
+}
+
+// Exit codes, so scripts can tell why a command stopped. Documented in the
+// README; 130 and 143 mean the tool was interrupted by SIGINT or SIGTERM.
+const EXIT_CODES = {
+  ERROR: 1,
+  USAGE: 2,
+  NEEDS_INPUT: 3,
+  CONFIG: 4,
+  INVALID_URL: 5,
+  DESTINATION: 6,
+  GIT: 7,
+  FORGE: 8,
+  CANCELLED: 9,
+};
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+// The result of a single clone for --json, filled in as the clone goes
+let cloneReport = null;
+
+function finishReport(report) {
+  const { startedAt, ...rest } = report;
+  return { ...rest, durationMs: Date.now() - startedAt };
+}
+
+function failureReport(message, code) {
+  const name = Object.keys(EXIT_CODES).find(key => EXIT_CODES[key] === code) || (code > 128 ? 'INTERRUPTED' : 'ERROR');
+  return {
+    ...(cloneReport ? finishReport(cloneReport) : {}),
+    status: code === EXIT_CODES.CANCELLED || code > 128 ? 'cancelled' : 'failed',
+    error: { code: name, message },
+    exitCode: code,
   };
-  console.log(colors[type](message));
 }
 
-function error(message) {
-  log(message, 'error');
-  process.exit(1);
+// Exits once the reason has been shown; with --json it's reported instead
+function exitWith(code, message) {
+  if (output.json) {
+    printJson(failureReport(message, code));
+  }
+  process.exit(code);
+}
+
+function error(message, code = EXIT_CODES.ERROR) {
+  if (!output.json) {
+    log(message, 'error');
+  }
+  exitWith(code, message);
 }
 
 function success(message) {
   log(message, 'success');
 }
 
-function getExistingFolders(projectsDir) {
+// --json never prompts: the prompts would end up in the JSON output
+function isInteractive() {
+  return Boolean(process.stdin.isTTY) && !output.json;
+}
+
+async function confirm(message, defaultValue, options = {}) {
+  // --yes accepts every confirmation without prompting
+  if (options.yes) {
+    return true;
+  }
+
+  if (!isInteractive()) {
+    error(`${message}\nCannot prompt because stdin is not a TTY. Pass --yes to accept.`, EXIT_CODES.NEEDS_INPUT);
+  }
+
+  const { answer } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'answer',
+      message,
+      default: defaultValue,
+    },
+  ]);
+  return answer;
+}
+
+function getExistingFolders(dir, options = {}) {
   try {
-    if (!fs.existsSync(projectsDir)) {
-      fs.mkdirSync(projectsDir, { recursive: true });
+    if (!fs.existsSync(dir)) {
       return [];
     }
     
-    const items = fs.readdirSync(projectsDir, { withFileTypes: true });
+    const items = fs.readdirSync(dir, { withFileTypes: true });
     return items
       .filter(item => item.isDirectory())
       .map(item => item.name)
       .filter(name => !name.startsWith('.'))
+      .filter(name => !options.hideRepositories || !fs.existsSync(path.join(dir, name, '.git')))
       .sort();
   } catch (err) {
     log(`Warning: Could not read projects directory: ${err.message}`, 'warning');
@@ -190,107 +444,143 @@ function getExistingFolders(projectsDir) {
   }
 }
 
-function validateGitUrl(url) {
-  // Basic validation for git URLs
-  const patterns = [
-    /^https?:\/\/.*\.git$/,
-    /^git@.*:.*\.git$/,
-    /^https?:\/\/github\.com\/[\w\-\.]+\/[\w\-\.]+/,
-    /^https?:\/\/gitlab\.com\/[\w\-\.]+\/[\w\-\.]+/,
-    /^https?:\/\/bitbucket\.org\/[\w\-\.]+\/[\w\-\.]+/,
-  ];
-  
-  return patterns.some(pattern => pattern.test(url));
+function validateGitUrl(url, options) {
+  return parseGitUrl(url, options) !== null;
 }
 
-function extractRepoName(url) {
+function extractRepoName(url, options) {
   // Extract repository name from URL
-  const match = url.match(/\/([^\/]+?)(?:\.git)?\/?$/);
-  return match ? match[1] : null;
+  const parsed = parseGitUrl(url, options);
+  return parsed ? parsed.repo : null;
 }
 
-function checkGitInstalled() {
-  try {
-    execSync('git --version', { stdio: 'ignore' });
-    return true;
-  } catch (err) {
-    return false;
+// The parts of a URL --json reports
+function urlParts(url, options) {
+  const parsed = parseGitUrl(url, options);
+  if (!parsed) {
+    return null;
   }
+  const { protocol, host, port, owner, repo } = parsed;
+  return { protocol, host, port, owner, repo };
 }
 
-function validatePathWithinProjectsDir(targetPath, projectsDir) {
-  // Normalize and resolve to absolute path
-  const resolved = path.resolve(targetPath);
-  const projectsResolved = path.resolve(projectsDir);
-  
-  // Normalize paths for comparison (handle trailing slashes)
-  const normalizedTarget = resolved + path.sep;
-  const normalizedProjects = projectsResolved + path.sep;
-  
-  // Check if resolved path is within projects directory
-  if (!normalizedTarget.startsWith(normalizedProjects) && resolved !== projectsResolved) {
-    return false;
+function resolveCloneUrl(url, options) {
+  // Expands shorthand such as "gh:owner/repo" into a URL git understands
+  const parsed = parseGitUrl(url, options);
+  return parsed ? parsed.url : url;
+}
+
+// Expands shorthand, then switches the URL to the protocol asked for with
+// --protocol or in the config
+function prepareCloneUrl(url, config, protocol) {
+  const urlOptions = { defaultHost: config.defaultHost };
+  const resolved = resolveCloneUrl(url, urlOptions);
+  return convertUrl(resolved, resolveProtocol(resolved, config, protocol), urlOptions);
+}
+
+function describeIdentity(identity) {
+  const parts = [];
+  if (identity.name || identity.email) {
+    parts.push([identity.name, identity.email && `<${identity.email}>`].filter(Boolean).join(' '));
   }
-  
-  return resolved;
+  if (identity.sshHost) {
+    parts.push(`SSH host ${identity.sshHost}`);
+  }
+  if (identity.sshCommand) {
+    parts.push(`"${identity.sshCommand}"`);
+  } else if (identity.sshKey) {
+    parts.push(`key ${identity.sshKey}`);
+  }
+  return parts.join(', ');
 }
 
-function cloneRepository(url, targetDir, projectsDir) {
-  try {
-    // Ensure parent directory exists
-    const parentDir = path.dirname(targetDir);
-    if (!fs.existsSync(parentDir)) {
-      fs.mkdirSync(parentDir, { recursive: true });
-    }
-    
-    log(`Cloning ${url}...`, 'info');
-    
-    // Use spawnSync with array arguments to prevent command injection
-    const result = spawnSync('git', ['clone', url, targetDir], {
-      stdio: 'inherit',
-      cwd: projectsDir,
-    });
-    
-    if (result.error) {
-      throw result.error;
-    }
-    
-    if (result.status !== 0) {
-      throw new Error(`Git clone failed with exit code ${result.status}`);
-    }
-    
-    success(`\n✓ Successfully cloned to ${targetDir}`);
-    return targetDir; // Return targetDir on success
-  } catch (err) {
-    error(`\n✗ Failed to clone repository: ${err.message}`);
-    return null; // Return null on failure
+// What was removed after failed clones and what was left, one line each
+function describeCleanup(cleanups, projectsDir) {
+  const relative = dir => path.relative(projectsDir, dir) || dir;
+  const partial = cleanups.filter(cleanup => cleanup.partial).length;
+  const folders = [].concat(...cleanups.map(cleanup => cleanup.removed));
+  const kept = [].concat(...cleanups.map(cleanup => cleanup.kept));
+
+  const parts = [];
+  if (partial > 0) {
+    parts.push(partial === 1 ? 'the partial clone' : `${partial} partial clones`);
+  }
+  if (folders.length > 0) {
+    parts.push(`the ${folders.length === 1 ? 'folder' : 'folders'} created for ${partial > 1 ? 'them' : 'it'}: ${folders.map(relative).join(', ')}`);
+  }
+
+  const lines = parts.length > 0 ? [`Cleaned up ${parts.join(' and ')}`] : [];
+  kept.forEach(dir => lines.push(`Left ${relative(dir)} in place because it is not empty`));
+  return lines;
+}
+
+// Ctrl+C during a clone stops git and removes the folders the unfinished
+// clones created. A second Ctrl+C exits at once.
+let cancelling = false;
+
+async function cancelClones(signal) {
+  const code = 128 + os.constants.signals[signal];
+  if (cancelling || !hasActiveClones()) {
+    exitWith(code, `Interrupted by ${signal}`);
   }
+  cancelling = true;
+
+  log('\nCancelling...', 'warning');
+  const { projectsDir, cleanups } = await cancelActiveClones();
+  const lines = describeCleanup(cleanups, projectsDir);
+  (lines.length > 0 ? lines : ['Nothing was left behind']).forEach(line => log(line, 'info'));
+  exitWith(code, `Interrupted by ${signal}`);
 }
 
-async function openInCursor(targetDir) {
+function recordClone(url, targetDir, result, cloneOptions = {}, template = false) {
   try {
-    // Try to open with cursor command
-    spawnSync('cursor', [targetDir], {
-      stdio: 'ignore',
-      detached: true,
+    recordCloneResult(getConfigPath().historyFile, url, targetDir, result, {
+      branch: result.ok ? getCurrentBranch(targetDir) : cloneOptions.branch,
+      template,
     });
-    success('Opening in Cursor...');
   } catch (err) {
-    // If cursor command fails, try alternative methods
-    try {
-      // Try with 'code' command (VS Code, sometimes works for Cursor)
-      spawnSync('code', [targetDir], {
-        stdio: 'ignore',
-        detached: true,
-      });
-      success('Opening in editor...');
-    } catch (err2) {
-      log('Could not open in Cursor automatically. Please open manually.', 'warning');
+    log(`Warning: Could not write clone history: ${err.message}`, 'warning');
+  }
+}
+
+async function cloneRepository(url, targetDir, projectsDir, options = {}) {
+  log(`Cloning ${url}...`, 'info');
+
+  // Pass git's own output straight through so a single clone looks as before
+  const result = await cloneTransactional(url, targetDir, projectsDir, {
+    ...options,
+    progress: Boolean(process.stderr.isTTY) && output.level !== 'quiet',
+    onOutput: output.level === 'quiet' ? undefined : (chunk, stream) => process[output.json ? 'stderr' : stream].write(chunk),
+    onCommand: gitArgs => log(`$ git ${gitArgs.join(' ')}`, 'debug'),
+    onRetry: (attempt, delay, message) => {
+      log(`\n${message}\nRetrying in ${delay / 1000}s (attempt ${attempt + 1} of ${CLONE_RETRIES + 1})...`, 'warning');
+    },
+  });
+  recordClone(url, targetDir, result, options.clone, options.template);
+
+  if (!result.ok) {
+    log(`\n✗ Failed to clone repository: ${result.message}`, 'error');
+    if (result.cleanup) {
+      describeCleanup([result.cleanup], projectsDir).forEach(line => log(line, 'info'));
     }
+    return result;
+  }
+
+  success(`\n✓ Successfully cloned to ${targetDir}`);
+  return result;
+}
+
+function openInEditor(targetDir, editor) {
+  const result = launchEditor(editor, targetDir);
+  if (result.ok) {
+    success(`Opening in ${editor.name}...`);
+  } else {
+    log(`Could not open in ${editor.name}: ${result.message}`, 'warning');
+    log(`Open it manually with: ${formatEditorCommand(editor, targetDir)}`, 'info');
   }
 }
 
-function promptOpenInCursor(targetDir) {
+function promptOpenInEditor(targetDir, editorName) {
   return new Promise((resolve) => {
     const rl = readline.createInterface({
       input: process.stdin,
@@ -299,7 +589,7 @@ function promptOpenInCursor(targetDir) {
 
     // Extract just the project folder name instead of full path
     const projectName = path.basename(targetDir);
-    process.stdout.write(`Open "${projectName}" in Cursor? (Press Enter to open, Q to skip): `);
+    process.stdout.write(`Open "${projectName}" in ${editorName}? (Press Enter to open, Q to skip): `);
 
     // Set raw mode to capture single keypresses
     if (process.stdin.isTTY) {
@@ -314,7 +604,7 @@ function promptOpenInCursor(targetDir) {
       const input = str.toLowerCase();
       
       if (input === 'y' || input === '\r' || input === '\n' || key.name === 'return') {
-        // Yes - open in Cursor
+        // Yes - open in the editor
         if (process.stdin.isTTY) {
           process.stdin.setRawMode(false);
         }
@@ -337,13 +627,48 @@ function promptOpenInCursor(targetDir) {
 }
 
 function showConfig() {
-  const projectsDir = getProjectsDir();
+  const local = readLocalOverrides();
+  const userConfig = readConfig();
+  const config = applyLocalOverrides(userConfig, local);
+  const workspaces = listWorkspaces(userConfig);
+  const defaultWorkspace = workspaces[getDefaultWorkspace(userConfig)];
+  const projectsDir = process.env.GIT_CLONE_PROJECTS_DIR
+    || (local && local.config.projectsDir)
+    || (defaultWorkspace && path.resolve(expandHome(defaultWorkspace.projectsDir)));
   const { configFile } = getConfigPath();
   
   if (projectsDir) {
     log('\nCurrent Configuration:', 'info');
     log(`Projects Directory: ${projectsDir}`, 'success');
-    log(`Config File: ${configFile}`, 'info');
+    log(`Config File: ${configFile} (version ${config.version || CONFIG_VERSION})`, 'info');
+
+    if (Object.keys(workspaces).length > 1) {
+      log(`Workspaces: ${Object.keys(workspaces).join(', ')} (default: ${getDefaultWorkspace(userConfig)})`, 'info');
+    }
+
+    const editor = resolveEditor(config.editor);
+    if (config.editor === NO_EDITOR) {
+      log('Editor: none (never open clones)', 'info');
+    } else if (editor) {
+      log(`Editor: ${editor.name} (${editor.command})${config.editor ? '' : ' [detected]'}`, 'info');
+    } else {
+      log('Editor: none found', 'warning');
+    }
+    const detected = detectEditors();
+    if (detected.length > 0) {
+      log(`Available editors: ${detected.map(item => item.id).join(', ')}`, 'info');
+    }
+    if (config.layout) {
+      log(`Layout: ${config.layout}`, 'info');
+    }
+    if (Array.isArray(config.rules) && config.rules.length > 0) {
+      log('Rules:', 'info');
+      config.rules.forEach(rule => log(`  ${rule.match} -> ${rule.path}`, 'info'));
+    }
+    
+    if (local) {
+      log(`Local overrides: ${local.file} (${Object.keys(local.config).join(', ') || 'empty'})`, 'info');
+    }
     
     if (process.env.GIT_CLONE_PROJECTS_DIR) {
       log('Note: Using GIT_CLONE_PROJECTS_DIR environment variable', 'warning');
@@ -353,6 +678,210 @@ function showConfig() {
   }
 }
 
+async function ensureProjectsDirectory(dir, options = {}) {
+  if (fs.existsSync(dir)) {
+    return;
+  }
+
+  const create = await confirm(`Projects directory "${dir}" doesn't exist. Create it?`, true, options);
+  
+  if (create) {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      success(`Created directory: ${dir}`);
+    } catch (err) {
+      error(`Failed to create directory: ${err.message}`);
+    }
+  } else {
+    error('Cannot proceed without a valid projects directory.');
+  }
+}
+
+async function workspaceCommand(action = 'list', name, dir, yes) {
+  const config = readConfig();
+  const workspaces = listWorkspaces(config);
+  const configured = { ...(config.workspaces || {}) };
+
+  if (action === 'list') {
+    const names = Object.keys(workspaces);
+    if (names.length === 0) {
+      log('No workspaces configured. Run git-clone-select to set up.', 'warning');
+      return;
+    }
+    const defaultName = getDefaultWorkspace(config);
+    console.log(formatTable(
+      ['', 'WORKSPACE', 'PROJECTS DIRECTORY'],
+      names.map(item => [item === defaultName ? '*' : '', item, workspaces[item].projectsDir])
+    ));
+    return;
+  }
+
+  if (!name) {
+    error(`Usage: git-clone-select config workspace ${action} <name>${action === 'add' ? ' <path>' : ''}`, EXIT_CODES.USAGE);
+  }
+
+  if (action === 'add') {
+    if (!/^[\w.-]+$/.test(name)) {
+      error('Workspace names may only contain letters, numbers, ".", "_" and "-"', EXIT_CODES.USAGE);
+    }
+    if (!dir) {
+      error('Usage: git-clone-select config workspace add <name> <path>', EXIT_CODES.USAGE);
+    }
+    const resolved = path.resolve(expandHome(dir));
+    if (!resolved.startsWith(os.homedir())) {
+      error('Projects directory must be within your home directory', EXIT_CODES.USAGE);
+    }
+    await ensureProjectsDirectory(resolved, { yes });
+
+    configured[name] = { ...(configured[name] || {}), projectsDir: resolved };
+    if (!updateConfig({ workspaces: configured })) {
+      error('Failed to save configuration.');
+    }
+    success(`Workspace "${name}" added: ${resolved}`);
+    return;
+  }
+
+  if (!workspaces[name]) {
+    error(`Unknown workspace "${name}". Available: ${Object.keys(workspaces).join(', ') || 'none'}`, EXIT_CODES.USAGE);
+  }
+
+  if (action === 'remove') {
+    if (!configured[name]) {
+      error(`"${name}" is the top-level projects directory. Change it with --set-config.`, EXIT_CODES.USAGE);
+    }
+    delete configured[name];
+    const changes = { workspaces: configured };
+    if (config.defaultWorkspace === name) {
+      changes.defaultWorkspace = undefined;
+    }
+    if (!updateConfig(changes)) {
+      error('Failed to save configuration.');
+    }
+    success(`Workspace "${name}" removed. Its directory was left untouched.`);
+    return;
+  }
+
+  if (action === 'default') {
+    if (!updateConfig({ defaultWorkspace: name })) {
+      error('Failed to save configuration.');
+    }
+    success(`Default workspace: ${name}`);
+    return;
+  }
+
+  error(`Unknown workspace command "${action}". Use list, add, remove or default.`, EXIT_CODES.USAGE);
+}
+
+function formatConfigValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function saveConfigFile(config) {
+  const { configFile } = getConfigPath();
+  try {
+    writeConfigFile(configFile, config);
+  } catch (err) {
+    error(err instanceof ConfigError ? formatConfigError(err) : `Error saving config: ${err.message}`, EXIT_CODES.CONFIG);
+  }
+}
+
+// Opens the config file in $VISUAL/$EDITOR and checks it once the editor exits
+function editConfig() {
+  const { configFile } = getConfigPath();
+  if (!isInteractive()) {
+    error('Cannot open an editor because stdin is not a TTY.', EXIT_CODES.NEEDS_INPUT);
+  }
+
+  if (!fs.existsSync(configFile)) {
+    saveConfigFile({ createdAt: new Date().toISOString() });
+  }
+
+  const editor = resolveEditor(TERMINAL_EDITOR) ||
+    { ...resolveEditor(process.platform === 'win32' ? 'notepad' : 'vi'), terminal: true };
+  const result = launchEditor(editor, configFile);
+  if (!result.ok) {
+    error(`Could not open ${configFile}: ${result.message}`);
+  }
+
+  try {
+    readConfigFile(configFile);
+    success('Configuration is valid.');
+  } catch (err) {
+    if (!(err instanceof ConfigError)) {
+      throw err;
+    }
+    error(`${formatConfigError(err)}\nRun git-clone-select config edit again to fix it.`, EXIT_CODES.CONFIG);
+  }
+}
+
+async function configCommand(args) {
+  const { action, key, values, yes } = parseCommandArgs(args, CONFIG_COMMAND);
+
+  if (!action) {
+    showConfig();
+    return;
+  }
+  if (action === 'workspace' || action === 'workspaces') {
+    await workspaceCommand(key || undefined, values[0], values[1], yes);
+    return;
+  }
+  if (action === 'edit') {
+    editConfig();
+    return;
+  }
+
+  // An invalid file can still be inspected and fixed through these commands
+  const config = readConfig({ validate: false });
+
+  if (action === 'list') {
+    listConfigValues(config).forEach(([name, value]) => console.log(`${name}=${formatConfigValue(value)}`));
+    return;
+  }
+
+  if (!['get', 'set', 'unset'].includes(action)) {
+    error(`Unknown config command "${action}". Use get, set, unset, list, edit or workspace.`, EXIT_CODES.USAGE);
+  }
+  if (!key || (action === 'set' && values.length === 0)) {
+    error(`Usage: git-clone-select config ${action} <key>${action === 'set' ? ' <value>' : ''}`, EXIT_CODES.USAGE);
+  }
+
+  try {
+    if (action === 'get') {
+      const value = getConfigValue(config, key);
+      if (value === undefined) {
+        error(`"${key}" is not set`);
+      }
+      console.log(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+      return;
+    }
+
+    if (action === 'unset') {
+      if (getConfigValue(config, key) === undefined) {
+        log(`"${key}" is not set`, 'warning');
+        return;
+      }
+      saveConfigFile(unsetConfigValue(config, key));
+      success(`Removed ${key}`);
+      return;
+    }
+
+    let value = parseConfigValue(key, values.join(' '));
+    if (/(^|\.)projectsDir$/.test(key)) {
+      value = path.resolve(expandHome(value));
+      if (!value.startsWith(os.homedir())) {
+        error('Projects directory must be within your home directory', EXIT_CODES.USAGE);
+      }
+    }
+    saveConfigFile(setConfigValue({ createdAt: new Date().toISOString(), ...config }, key, value));
+    success(`Set ${key} to ${formatConfigValue(value)}`);
+  } catch (err) {
+    if (!(err instanceof ConfigError)) {
+      throw err;
+    }
+    error(formatConfigError(err), EXIT_CODES.USAGE);
+  }
+}
+
 async function setConfig(newPath) {
   const resolved = path.resolve(newPath);
   const homeDir = os.homedir();
@@ -392,58 +921,1780 @@ async function setConfig(newPath) {
   }
 }
 
-function showVersion() {
-  try {
-    const packageJsonPath = path.join(__dirname, '..', 'package.json');
-    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-    log(`git-clone-select v${packageJson.version}`, 'info');
-  } catch (err) {
-    log('git-clone-select (version unknown)', 'info');
+function setEditor(setting) {
+  const value = setting.trim();
+  const editor = resolveEditor(value);
+
+  if (value !== NO_EDITOR && !editor) {
+    error(`Cannot use "${value}": $VISUAL and $EDITOR are not set`, EXIT_CODES.USAGE);
+  }
+  if (!updateConfig({ editor: value })) {
+    error('Failed to save configuration.');
+  }
+
+  if (!editor) {
+    success('Configuration updated! Clones will not be opened in an editor.');
+    return;
+  }
+
+  success(`Configuration updated! Editor: ${editor.name}`);
+  if (!findExecutable(editor.command)) {
+    log(`Note: "${editor.command}" was not found in PATH`, 'warning');
   }
 }
 
-function showHelp() {
-  log('\nUsage: git-clone-select [options] <git-url>', 'info');
-  log('\nOptions:', 'info');
-  log('  -c, --config              Show current configuration', 'info');
-  log('  --set-config <path>       Set projects directory', 'info');
-  log('  --reset-config            Reset configuration and run setup', 'info');
-  log('  -v, --version             Show version number', 'info');
-  log('  -h, --help                Show this help message', 'info');
-  log('\nExamples:', 'info');
-  log('  git-clone-select https://github.com/user/repo.git', 'info');
-  log('  git-clone-select --config', 'info');
-  log('  git-clone-select --set-config ~/MyProjects', 'info');
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) {
+    return '?';
+  }
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
 }
 
-async function main() {
-  // Parse command-line arguments
-  const args = process.argv.slice(2);
-  
-  // Handle config commands
-  if (args.length === 0 || args[0] === '--help' || args[0] === '-h') {
-    showHelp();
-    process.exit(0);
+function showHistory(limit, options = {}) {
+  const { historyFile } = getConfigPath();
+  const entries = readHistory(historyFile).slice(-limit);
+
+  if (options.json) {
+    printJson(entries);
+    return;
   }
-  
-  if (args[0] === '--version' || args[0] === '-v') {
-    showVersion();
-    process.exit(0);
+  if (entries.length === 0) {
+    log('No clones recorded yet.', 'info');
+    return;
   }
-  
-  if (args[0] === '--config' || args[0] === '-c') {
-    showConfig();
-    process.exit(0);
+
+  console.log(formatTable(
+    ['DATE', 'STATUS', 'BRANCH', 'REPOSITORY', 'PATH'],
+    entries.map(entry => [
+      formatDate(entry.timestamp),
+      entry.status !== 'success' ? 'failed' : entry.template ? 'created' : 'cloned',
+      entry.branch || '',
+      entry.url,
+      entry.path,
+    ])
+  ));
+}
+
+function openWithEditor(targetDir, config, options = {}) {
+  const editor = resolveEditor(options.editor || config.editor);
+  if (editor) {
+    openInEditor(targetDir, editor);
+  } else {
+    log(`No editor configured. The repository is at: ${targetDir}`, 'info');
   }
-  
+}
+
+async function openRecent(limit) {
+  const { historyFile } = getConfigPath();
+  const entries = recentClones(readHistory(historyFile), limit);
+
+  if (entries.length === 0) {
+    log('No recent clones found.', 'info');
+    return;
+  }
+
+  if (!isInteractive()) {
+    error('Cannot show the list because stdin is not a TTY.', EXIT_CODES.NEEDS_INPUT);
+  }
+
+  const { selected } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'selected',
+      message: 'Open a recently cloned repository:',
+      choices: entries.map(entry => ({
+        name: `${path.basename(entry.path)} ${chalk.dim(`${entry.path} (${formatDate(entry.timestamp)})`)}`,
+        value: entry.path,
+        short: entry.path,
+      })),
+    },
+  ]);
+
+  openWithEditor(selected, readConfig());
+}
+
+function fetchRepository(repoDir) {
+  log(`Fetching ${repoDir}...`, 'info');
+  const result = spawnSync('git', ['fetch', '--all', '--prune'], {
+    cwd: repoDir,
+    stdio: childStdio(),
+  });
+  if (result.error || result.status !== 0) {
+    error(`Fetch failed${result.error ? `: ${result.error.message}` : ` with exit code ${result.status}`}`, EXIT_CODES.GIT);
+  }
+  success(`✓ Fetched ${repoDir}`);
+}
+
+const DEFAULT_UPSTREAM_REMOTE = 'upstream';
+
+// Works out what to clone when forking: with --fork-of the URL is already the
+// fork, with --fork (or after confirming for a repository that belongs to
+// someone else) the fork is created through the forge API first.
+// Returns { url, upstream }; upstream is null when not forking.
+async function resolveFork(gitUrl, config, options) {
+  const urlOptions = { defaultHost: config.defaultHost };
+
+  if (options.forkOf) {
+    const upstream = resolveCloneUrl(options.forkOf, urlOptions);
+    if (!validateGitUrl(upstream, urlOptions)) {
+      error(`Invalid --fork-of URL: ${options.forkOf}`, EXIT_CODES.INVALID_URL);
+    }
+    return { url: gitUrl, upstream };
+  }
+
+  if (options.fork === false) {
+    return { url: gitUrl, upstream: null };
+  }
+
+  const forge = resolveForge(gitUrl, config);
+  if (options.fork) {
+    if (!forge) {
+      error(`Cannot fork ${gitUrl}: its host is not a known forge. Add it under "forges" in the config.`, EXIT_CODES.USAGE);
+    }
+  } else {
+    // Only offer to fork when we know who the user is and are able to fork
+    const foreign = forge && forge.username && forge.token &&
+      forge.owner.toLowerCase() !== forge.username.toLowerCase();
+    if (!foreign || options.yes || !isInteractive()) {
+      return { url: gitUrl, upstream: null };
+    }
+    const fork = await confirm(`${forge.fullName} belongs to ${forge.owner}. Fork it to ${forge.username} and clone your fork?`, false, options);
+    if (!fork) {
+      return { url: gitUrl, upstream: null };
+    }
+  }
+
+  log(`Forking ${forge.fullName} on ${forge.host}...`, 'info');
+  let fork;
+  try {
+    fork = await createFork(forge);
+  } catch (err) {
+    error(`Could not fork ${forge.fullName}: ${err.message}`, EXIT_CODES.FORGE);
+  }
+  success(`✓ Forked to ${fork.fullName}`);
+
+  // Clone the fork over the same protocol as the original
+  return { url: forge.protocol === 'ssh' ? fork.sshUrl : fork.httpsUrl, upstream: gitUrl };
+}
+
+function runGit(repoDir, args) {
+  const result = spawnSync('git', args, { cwd: repoDir, encoding: 'utf8' });
+  if (result.error) {
+    return { ok: false, message: result.error.message };
+  }
+  const lines = `${result.stderr || ''}`.trim().split('\n');
+  return result.status === 0 ? { ok: true } : { ok: false, message: lines[lines.length - 1] };
+}
+
+// Adds the original repository of a fork as a remote, fetches it and, when
+// asked to, makes the current branch track it. Failures are reported but
+// the clone is kept.
+function setupUpstream(repoDir, upstreamUrl, config, options) {
+  const settings = config.fork || {};
+  const remote = settings.remote || DEFAULT_UPSTREAM_REMOTE;
+
+  const added = readRemotes(repoDir)[remote]
+    ? runGit(repoDir, ['remote', 'set-url', remote, upstreamUrl])
+    : runGit(repoDir, ['remote', 'add', remote, upstreamUrl]);
+  if (!added.ok) {
+    log(`Could not add the ${remote} remote: ${added.message}`, 'warning');
+    return false;
+  }
+  success(`✓ Added remote ${remote}: ${upstreamUrl}`);
+
+  log(`Fetching ${remote}...`, 'info');
+  const fetched = spawnSync('git', ['fetch', remote], { cwd: repoDir, stdio: childStdio() });
+  if (fetched.error || fetched.status !== 0) {
+    log(`Could not fetch ${remote}. Run "git fetch ${remote}" in ${repoDir} later.`, 'warning');
+    return false;
+  }
+
+  if (options.trackUpstream || settings.trackUpstream) {
+    const branch = getCurrentBranch(repoDir);
+    const tracked = runGit(repoDir, ['branch', `--set-upstream-to=${remote}/${branch}`]);
+    if (!tracked.ok) {
+      log(`Could not make ${branch} track ${remote}/${branch}: ${tracked.message}`, 'warning');
+      return false;
+    }
+    success(`✓ ${branch} now tracks ${remote}/${branch}`);
+  }
+  return true;
+}
+
+// Look for the repository in the clone history and among the remotes of
+// working copies under the projects directory, before cloning it again
+async function checkExistingClones(gitUrl, projectsDir, config, options) {
+  const { historyFile, scanCacheFile } = getConfigPath();
+  const urlOptions = { defaultHost: config.defaultHost };
+  const scanDepth = config.scanDepth === undefined ? DEFAULT_SCAN_DEPTH : config.scanDepth;
+
+  const fromHistory = findPreviousClones(readHistory(historyFile), gitUrl, urlOptions).map(entry => entry.path);
+  const fromScan = scanDepth > 0
+    ? findClonesOf(gitUrl, projectsDir, { ...urlOptions, maxDepth: scanDepth, cacheFile: scanCacheFile })
+    : [];
+  const existing = [...new Set([...fromHistory, ...fromScan].map(repoPath => path.resolve(repoPath)))];
+
+  if (existing.length === 0) {
+    return;
+  }
+
+  const display = (repoPath) => {
+    const relative = path.relative(projectsDir, repoPath);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? relative : repoPath;
+  };
+  existing.forEach(repoPath => log(`This repository is already cloned at ${display(repoPath)}`, 'warning'));
+
+  // Scripts (and --yes) always go ahead with the new clone
+  if (options.yes || !isInteractive()) {
+    return;
+  }
+
+  const { action } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'action',
+      message: 'What would you like to do?',
+      choices: [
+        ...existing.reduce((choices, repoPath) => choices.concat([
+          { name: `Open ${display(repoPath)}`, value: { type: 'open', path: repoPath } },
+          { name: `Fetch ${display(repoPath)}`, value: { type: 'fetch', path: repoPath } },
+        ]), []),
+        { name: 'Clone another copy', value: { type: 'clone' } },
+        { name: 'Cancel', value: { type: 'cancel' } },
+      ],
+    },
+  ]);
+
+  if (action.type === 'open') {
+    openWithEditor(action.path, config, options);
+    process.exit(0);
+  }
+  if (action.type === 'fetch') {
+    fetchRepository(action.path);
+    process.exit(0);
+  }
+  if (action.type === 'cancel') {
+    log('Operation cancelled.', 'info');
+    exitWith(EXIT_CODES.CANCELLED, 'Operation cancelled');
+  }
+}
+
+function showVersion() {
+  try {
+    const packageJsonPath = path.join(__dirname, '..', 'package.json');
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    log(`git-clone-select v${packageJson.version}`, 'info');
+  } catch (err) {
+    log('git-clone-select (version unknown)', 'info');
+  }
+}
+
+function showHelp() {
+  const commands = Object.values(COMMANDS).filter(spec => spec.name !== 'clone');
+  const width = Math.max(...commands.map(spec => spec.name.length)) + 4;
+
+  log(`\nUsage: ${PROGRAM} [options] <git-url>`, 'info');
+  log(`       ${PROGRAM} <command> [options]`, 'info');
+  log('\nCommands:', 'info');
+  commands.forEach(spec => log(`  ${spec.name.padEnd(width)}${spec.summary}`, 'info'));
+  log('\nClone options:', 'info');
+  log(formatOptions(CLONE_COMMAND.options), 'info');
+  log('  -- <git args>             Pass the remaining arguments to git clone', 'info');
+  log('\nOther options:', 'info');
+  log(formatOptions([
+    { flags: ['--set-config'], value: '<path>', description: 'Set projects directory' },
+    { flags: ['--set-editor'], value: '<editor>', description: 'Set the editor (cursor, code, zed, idea, terminal, none or a command)' },
+    { flags: ['--reset-config'], description: 'Reset configuration and run setup' },
+    { flags: ['-v', '--version'], description: 'Show version number' },
+    { flags: ['-h', '--help'], description: 'Show this help message' },
+  ]), 'info');
+  log(`\nRun ${PROGRAM} <command> --help for the options of a command.`, 'info');
+  log('\nExamples:', 'info');
+  [...CLONE_COMMAND.examples, 'git-clone-select sync --org acme --dest acme', 'git-clone-select config get clone.depth']
+    .forEach(example => log(`  ${example}`, 'info'));
+}
+
+function historyCommand(args) {
+  const options = parseCommandArgs(args, HISTORY_COMMAND);
+  showHistory(options.limit, options);
+}
+
+async function recentCommand(args) {
+  await openRecent(parseCommandArgs(args, RECENT_COMMAND).limit);
+}
+
+function helpCommand(args) {
+  const { command } = parseCommandArgs(args, HELP_COMMAND);
+  if (!command) {
+    showHelp();
+    return;
+  }
+  if (!COMMANDS[command]) {
+    const match = suggest(command, Object.keys(COMMANDS));
+    error(`Unknown command "${command}".${match ? ` Did you mean ${match}?` : ''}`, EXIT_CODES.USAGE);
+  }
+  console.log(formatHelp(COMMANDS[command], PROGRAM));
+}
+
+function completionCommand(args) {
+  const { shell } = parseCommandArgs(args, COMPLETION_COMMAND);
+  if (!shell) {
+    error(`Usage: ${PROGRAM} ${COMPLETION_COMMAND.usage}`, EXIT_CODES.USAGE);
+  }
+  process.stdout.write(completionScript(shell));
+}
+
+// The projects directory of the workspace given with -w on the command line
+// being completed, or of the default workspace
+function completionProjectsDir(words) {
+  const index = words.findIndex(word => word === '-w' || word === '--workspace');
+  const inline = words.find(word => word.startsWith('--workspace='));
+  const workspace = inline ? inline.slice('--workspace='.length) : index >= 0 ? words[index + 1] : undefined;
+  try {
+    return loadConfig({ workspace }).projectsDir;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Answers the completion scripts: one candidate per line. Never fails loudly,
+// a broken config just means fewer candidates.
+function completeCommand(words) {
+  const readConfigQuietly = () => {
+    try {
+      return readConfigFile(getConfigPath().configFile, { validate: false });
+    } catch (err) {
+      return {};
+    }
+  };
+  const providers = {
+    commands: prefix => Object.keys(COMMANDS).filter(name => name.startsWith(prefix)),
+    workspaces: prefix => Object.keys(listWorkspaces(readConfigQuietly())).filter(name => name.startsWith(prefix)),
+    editors: prefix => [...Object.keys(EDITOR_PRESETS), TERMINAL_EDITOR, NO_EDITOR].filter(name => name.startsWith(prefix)),
+    folders: (prefix, line) => {
+      const projectsDir = completionProjectsDir(line);
+      return projectsDir ? completePath(prefix, projectsDir, { foldersOnly: true }) : [];
+    },
+    'config-keys': (prefix, line) => {
+      const names = line.includes('workspace') || line.includes('workspaces') ? WORKSPACE_ACTIONS : listSettingNames();
+      return names.filter(name => name.startsWith(prefix));
+    },
+  };
+  completeWords(words, COMMANDS, 'clone', providers).forEach(candidate => console.log(candidate));
+}
+
+function collectHooks(url, config) {
+  const hooks = Array.isArray(config.hooks) ? [...config.hooks] : [];
+  const parsed = parseGitUrl(url, { defaultHost: config.defaultHost });
+
+  if (parsed && parsed.host) {
+    findMatchingRules(parsed, config)
+      .filter(rule => Array.isArray(rule.hooks))
+      .forEach(rule => hooks.push(...rule.hooks));
+  }
+
+  return hooks.filter(hook => typeof hook === 'string' && hook.trim() !== '');
+}
+
+async function chooseSetupSteps(steps, options, label) {
+  const available = steps.filter(step => !step.missing);
+
+  steps
+    .filter(step => step.missing)
+    .forEach(step => log(`Skipping "${step.name}" (found ${step.reason}, but ${step.command.split(' ')[0]} is not installed)`, 'warning'));
+
+  if (available.length === 0 || options.yes) {
+    return available;
+  }
+
+  if (!isInteractive()) {
+    log(`Skipping project setup (${available.map(step => step.name).join(', ')}). Pass --yes to run it.`, 'info');
+    return [];
+  }
+
+  const { selected } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'selected',
+      message: label ? `Run project setup for ${label}?` : 'Run project setup?',
+      choices: available.map(step => ({
+        name: `${step.name} ${chalk.dim(`(${step.reason})`)}`,
+        value: step,
+        checked: true,
+      })),
+    },
+  ]);
+  return selected;
+}
+
+async function runPostCloneSteps(clonedPath, url, config, options, label) {
+  if (!options.hooks) {
+    return true;
+  }
+
+  const hookSteps = collectHooks(url, config).map(command => ({ name: command, command }));
+  const setupSteps = config.autoSetup === false ? [] : await chooseSetupSteps(detectSetupSteps(clonedPath), options, label);
+  const steps = [...hookSteps, ...setupSteps];
+  const env = {
+    GIT_CLONE_URL: url,
+    GIT_CLONE_PATH: clonedPath,
+  };
+  const failed = [];
+
+  for (const step of steps) {
+    log(`\n→ ${label ? `${label}: ` : ''}${step.name}`, 'info');
+    const result = runStep(step, clonedPath, env, childStdio());
+    if (result.ok) {
+      success(`✓ ${step.name}`);
+    } else {
+      log(`✗ ${step.name}: ${result.message}`, 'error');
+      failed.push(step.name);
+    }
+  }
+
+  if (failed.length > 0) {
+    log(`\n${failed.length} post-clone step(s) failed. The clone was kept at ${clonedPath}.`, 'warning');
+  }
+  return failed.length === 0;
+}
+
+const PROGRAM = 'git-clone-select';
+
+// Options several commands share
+const WORKSPACE_OPTION = { flags: ['-w', '--workspace'], value: '<name>', key: 'workspace', complete: 'workspaces', description: 'Use this workspace' };
+const YES_OPTION = { flags: ['-y', '--yes'], key: 'yes', description: 'Accept all confirmations without prompting' };
+const DEST_OPTION = { flags: ['--dest'], value: '<path>', key: 'dest', complete: 'folders', description: 'Parent folder, relative to the projects directory' };
+const PROTOCOL_OPTION = { flags: ['--protocol'], value: '<ssh|https>', key: 'protocol', choices: PROTOCOL_CHOICES, description: 'Clone over SSH or HTTPS, converting the URL if needed' };
+const JSON_OPTION = { flags: ['--json'], key: 'json', description: 'Print the result as JSON; never prompts' };
+const OUTPUT_OPTIONS = [
+  { flags: ['-q', '--quiet'], key: 'quiet', description: 'Only show warnings and errors' },
+  { flags: ['--verbose'], key: 'verbose', description: 'Also show the git commands being run' },
+];
+
+function jobsOption(defaultJobs) {
+  return { flags: ['-j', '--jobs'], value: '<n>', key: 'jobs', parse: positiveInteger, description: `Number of parallel jobs (default: ${defaultJobs})` };
+}
+
+function durationOption(description) {
+  return {
+    flags: ['--stale'],
+    value: '<age>',
+    key: 'stale',
+    parse: (value, flag) => {
+      const duration = parseDuration(value);
+      if (duration === null) {
+        throw new UsageError(`${flag} expects a duration such as 90d, 8w, 6m or 1y`);
+      }
+      return duration;
+    },
+    description,
+  };
+}
+
+const GIT_CLONE_OPTIONS = [
+  { flags: ['-b', '--branch'], value: '<name>', key: 'clone.branch', description: 'Check out this branch instead of the default' },
+  { flags: ['--depth'], value: '<n>', key: 'clone.depth', parse: positiveInteger, description: 'Shallow clone with the last n commits' },
+  { flags: ['--single-branch'], key: 'clone.singleBranch', description: 'Only fetch the checked-out branch' },
+  { flags: ['--recurse-submodules'], key: 'clone.recurseSubmodules', description: 'Clone submodules too' },
+  { flags: ['--filter'], value: '<spec>', key: 'clone.filter', description: 'Partial clone, e.g. --filter=blob:none' },
+  { flags: ['--sparse'], value: '<path>', key: 'clone.sparse', parse: list, repeat: true, description: 'Sparse checkout of this path (repeatable)' },
+];
+
+// Where to take a list of repositories from instead of a URL
+const SOURCE_OPTIONS = [
+  { flags: ['--from'], value: '<file>', key: 'from', complete: 'files', description: 'Repositories listed in a manifest file' },
+  { flags: ['--org'], value: '<name>', key: 'org', description: 'Repositories of an organization (or GitLab group)' },
+  { flags: ['--user'], value: '<name>', key: 'user', description: 'Repositories of a user' },
+  { flags: ['--host'], value: '<host>', key: 'host', description: 'Forge for --org/--user (default: github.com)' },
+  { flags: ['--match'], value: '<pattern>', key: 'match', description: 'Only repositories whose name matches, e.g. "api-*"' },
+  { flags: ['--include-archived'], key: 'includeArchived', description: 'Include archived repositories' },
+];
+
+function cloneDefaults() {
+  return {
+    url: null,
+    dest: null,
+    name: null,
+    from: null,
+    workspace: null,
+    jobs: DEFAULT_JOBS,
+    yes: false,
+    hooks: true,
+    open: true,
+    editor: null,
+    // Pick repositories from a forge listing instead of passing a URL
+    org: null,
+    user: null,
+    host: null,
+    match: null,
+    includeArchived: false,
+    protocol: null,
+    json: false,
+    forkOf: null,
+    // true forks without asking, false never offers to
+    fork: null,
+    trackUpstream: false,
+    // Start a new project from the repository instead of cloning it
+    template: false,
+    origin: null,
+    placeholders: true,
+    // Only what was given on the command line; config defaults are merged later
+    clone: {},
+  };
+}
+
+const CLONE_COMMAND = {
+  name: 'clone',
+  usage: 'clone [options] <git-url> [-- <git clone args>]',
+  summary: 'Clone a repository into the projects directory (the default command)',
+  positionals: [{ key: 'url', name: '<git-url>' }],
+  passthrough: 'clone.args',
+  defaults: cloneDefaults,
+  options: [
+    WORKSPACE_OPTION,
+    DEST_OPTION,
+    { flags: ['--name'], value: '<folder>', key: 'name', description: 'Folder name for the clone (default: repository name)' },
+    ...GIT_CLONE_OPTIONS,
+    PROTOCOL_OPTION,
+    ...SOURCE_OPTIONS,
+    jobsOption(DEFAULT_JOBS),
+    YES_OPTION,
+    { flags: ['--no-hooks'], key: 'hooks', set: false, description: 'Skip post-clone hooks and project setup' },
+    { flags: ['--open'], value: '<editor>', key: 'editor', complete: 'editors', description: 'Open the clone in this editor without asking' },
+    { flags: ['--no-open'], key: 'open', set: false, description: 'Do not offer to open the clone in an editor' },
+    { flags: ['--fork-of'], value: '<url>', key: 'forkOf', description: 'The URL is a fork of <url>; add it as the upstream remote' },
+    { flags: ['--fork'], key: 'fork', description: 'Fork the repository to your account and clone the fork' },
+    { flags: ['--no-fork'], key: 'fork', set: false, description: 'Do not offer to fork repositories of other owners' },
+    { flags: ['--track-upstream'], key: 'trackUpstream', description: 'Make the default branch of a fork track upstream' },
+    { flags: ['--template'], key: 'template', description: 'Start a new project from the repository, with a fresh history' },
+    { flags: ['--origin'], value: '<url>', key: 'origin', description: 'With --template: add <url> as the origin remote' },
+    { flags: ['--no-placeholders'], key: 'placeholders', set: false, description: 'With --template: leave {{name}} placeholders as they are' },
+    JSON_OPTION,
+    ...OUTPUT_OPTIONS,
+  ],
+  examples: [
+    'git-clone-select https://github.com/user/repo.git',
+    'git-clone-select https://github.com/user/repo.git --dest work --yes --no-open',
+    'git-clone-select https://github.com/user/monorepo.git --filter=blob:none --sparse apps/web',
+    'git-clone-select --from repos.yaml',
+    'git-clone-select --org acme --match "api-*"',
+    'git-clone-select gh:acme/starter --template --name my-app --origin git@github.com:me/my-app.git',
+  ],
+  run: cloneCommand,
+};
+
+const SYNC_COMMAND = {
+  name: 'sync',
+  usage: 'sync --from <file> | --org <name> | --user <name> [options]',
+  summary: 'Clone missing repositories and fast-forward existing ones',
+  defaults: cloneDefaults,
+  options: [
+    WORKSPACE_OPTION,
+    DEST_OPTION,
+    ...SOURCE_OPTIONS,
+    ...GIT_CLONE_OPTIONS,
+    PROTOCOL_OPTION,
+    jobsOption(DEFAULT_JOBS),
+    JSON_OPTION,
+    YES_OPTION,
+    ...OUTPUT_OPTIONS,
+  ],
+  examples: ['git-clone-select sync --org acme --dest acme', 'git-clone-select sync --from repos.yaml --json'],
+  run: syncCommand,
+};
+
+// Local git commands are cheap, so status checks more repositories at once than clones
+const STATUS_JOBS = 8;
+
+const STATUS_COMMAND = {
+  name: 'status',
+  usage: 'status [options]',
+  summary: 'Branch, changes and last commit of every repository',
+  defaults: () => ({ workspace: null, dirty: false, stale: null, json: false, jobs: STATUS_JOBS }),
+  options: [
+    WORKSPACE_OPTION,
+    { flags: ['--dirty'], key: 'dirty', description: 'Only repositories with uncommitted changes' },
+    durationOption('Only repositories without a commit for this long, e.g. 90d'),
+    JSON_OPTION,
+    jobsOption(STATUS_JOBS),
+    ...OUTPUT_OPTIONS,
+  ],
+  examples: ['git-clone-select status --dirty', 'git-clone-select status -w work --json'],
+  run: statusCommand,
+};
+
+const MOVE_COMMAND = {
+  name: 'move',
+  usage: 'move <repo-path> [--dest <path>] [--name <folder>]',
+  summary: 'Move a clone elsewhere in the projects directory',
+  positionals: [{ key: 'path', name: '<repo-path>', complete: 'folders' }],
+  defaults: () => ({ path: null, dest: null, name: null, workspace: null, yes: false }),
+  options: [
+    DEST_OPTION,
+    { flags: ['--name'], value: '<folder>', key: 'name', description: 'New folder name (default: the current name)' },
+    WORKSPACE_OPTION,
+    YES_OPTION,
+    ...OUTPUT_OPTIONS,
+  ],
+  examples: ['git-clone-select move oss/some-repo --dest archive'],
+  run: moveCommand,
+};
+
+const DEFAULT_PRUNE_AGE = '90d';
+const DEFAULT_ARCHIVE_DIR = '.archive';
+
+const PRUNE_COMMAND = {
+  name: 'prune',
+  usage: 'prune [--stale <age>] [--delete | --archive [tar|mirror]] [options]',
+  summary: `List clones unused for ${DEFAULT_PRUNE_AGE.replace('d', ' days')}; delete or archive them`,
+  defaults: () => ({
+    workspace: null,
+    stale: parseDuration(DEFAULT_PRUNE_AGE),
+    delete: false,
+    archive: null,
+    archiveDir: DEFAULT_ARCHIVE_DIR,
+    dryRun: false,
+    yes: false,
+    jobs: STATUS_JOBS,
+  }),
+  options: [
+    WORKSPACE_OPTION,
+    durationOption(`Prune repositories unused for this long (default: ${DEFAULT_PRUNE_AGE})`),
+    { flags: ['--delete'], key: 'delete', description: 'Delete the repositories you pick' },
+    { flags: ['--archive'], value: '[tar|mirror]', key: 'archive', choices: ARCHIVE_FORMATS, optional: true, description: 'Archive the repositories you pick (default: tar)' },
+    { flags: ['--archive-dir'], value: '<path>', key: 'archiveDir', complete: 'folders', description: `Where archives go (default: ${DEFAULT_ARCHIVE_DIR} in the projects directory)` },
+    { flags: ['--dry-run'], key: 'dryRun', description: 'Only report, even with --delete or --archive' },
+    YES_OPTION,
+    jobsOption(STATUS_JOBS),
+    ...OUTPUT_OPTIONS,
+  ],
+  examples: ['git-clone-select prune --stale 6m', 'git-clone-select prune --archive mirror --archive-dir ~/Archive'],
+  run: pruneCommand,
+};
+
+// "workspaces" is accepted too, for older scripts
+const CONFIG_ACTIONS = ['get', 'set', 'unset', 'list', 'edit', 'workspace', 'workspaces'];
+const WORKSPACE_ACTIONS = ['list', 'add', 'remove', 'default'];
+
+const CONFIG_COMMAND = {
+  name: 'config',
+  usage: 'config [get|set|unset|list|edit|workspace] [key] [value]',
+  summary: 'Show or change the configuration',
+  details: [
+    'Without an action the current configuration is shown.',
+    '  workspace [list|add <name> <path>|remove <name>|default <name>]',
+    'A value that starts with "-" goes after "--", e.g. config set clone.args -- --no-tags',
+  ].join('\n'),
+  positionals: [
+    { key: 'action', name: '<action>', choices: CONFIG_ACTIONS },
+    { key: 'key', name: '<key>', complete: 'config-keys' },
+    { key: 'values', name: '<value>', variadic: true },
+  ],
+  defaults: () => ({ action: null, key: null, values: [], yes: false }),
+  options: [YES_OPTION, ...OUTPUT_OPTIONS],
+  examples: ['git-clone-select config get clone.depth', 'git-clone-select config set layout "{host}/{owner}/{repo}"'],
+  run: configCommand,
+};
+
+function limitCommand(name, defaultLimit, summary, run, options = []) {
+  return {
+    name,
+    usage: `${name} [n]`,
+    summary,
+    positionals: [{ key: 'limit', name: '[n]', parse: positiveInteger }],
+    defaults: () => ({ limit: defaultLimit }),
+    options: [...options, ...OUTPUT_OPTIONS],
+    run,
+  };
+}
+
+const HISTORY_COMMAND = limitCommand('history', 50, 'List the last n clones (default: 50)', historyCommand, [JSON_OPTION]);
+const RECENT_COMMAND = limitCommand('recent', 10, 'Pick one of the last n clones and open it (default: 10)', recentCommand);
+
+const COMPLETION_COMMAND = {
+  name: 'completion',
+  usage: 'completion bash|zsh|fish',
+  summary: 'Print a shell completion script',
+  details: [
+    'bash: add  source <(git-clone-select completion bash)  to ~/.bashrc',
+    'zsh:  add  source <(git-clone-select completion zsh)  to ~/.zshrc, after compinit',
+    'fish: git-clone-select completion fish > ~/.config/fish/completions/git-clone-select.fish',
+  ].join('\n'),
+  positionals: [{ key: 'shell', name: '<shell>', choices: SHELLS }],
+  defaults: () => ({ shell: null }),
+  run: completionCommand,
+};
+
+const HELP_COMMAND = {
+  name: 'help',
+  usage: 'help [command]',
+  summary: 'Show help for a command',
+  positionals: [{ key: 'command', name: '[command]', complete: 'commands' }],
+  defaults: () => ({ command: null }),
+  run: helpCommand,
+};
+
+const VERSION_COMMAND = {
+  name: 'version',
+  usage: 'version',
+  summary: 'Show the version number',
+  run: () => showVersion(),
+};
+
+const COMMANDS = {
+  clone: CLONE_COMMAND,
+  sync: SYNC_COMMAND,
+  status: STATUS_COMMAND,
+  move: MOVE_COMMAND,
+  prune: PRUNE_COMMAND,
+  config: CONFIG_COMMAND,
+  history: HISTORY_COMMAND,
+  recent: RECENT_COMMAND,
+  completion: COMPLETION_COMMAND,
+  help: HELP_COMMAND,
+  version: VERSION_COMMAND,
+};
+
+// Flags that used to be the only way to reach a command
+const COMMAND_ALIASES = {
+  '-c': 'config',
+  '--config': 'config',
+  '--history': 'history',
+  '--recent': 'recent',
+  '-h': 'help',
+  '--help': 'help',
+  '-v': 'version',
+  '--version': 'version',
+};
+
+// Parses the arguments of a command. --help prints the command's help and
+// exits; usage errors exit with EXIT_CODES.USAGE.
+function parseCommandArgs(args, spec) {
+  let options;
+  try {
+    options = parseArgs(args, spec);
+  } catch (err) {
+    if (!(err instanceof UsageError)) {
+      throw err;
+    }
+    error(`${err.message}\nRun ${PROGRAM} ${spec.name} --help for usage.`, EXIT_CODES.USAGE);
+  }
+  if (options.help) {
+    console.log(formatHelp(spec, PROGRAM));
+    process.exit(0);
+  }
+  configureOutput(options);
+  return options;
+}
+
+function readManifest(manifestPath) {
+  let content;
+  try {
+    content = fs.readFileSync(manifestPath, 'utf8');
+  } catch (err) {
+    error(`Could not read manifest: ${err.message}`, EXIT_CODES.USAGE);
+  }
+
+  const ext = path.extname(manifestPath).toLowerCase();
+  let entries;
+
+  if (ext === '.json' || ext === '.yaml' || ext === '.yml') {
+    let data;
+    try {
+      data = ext === '.json' ? JSON.parse(content) : yaml.load(content);
+    } catch (err) {
+      error(`Could not parse manifest ${manifestPath}: ${err.message}`, EXIT_CODES.USAGE);
+    }
+    // Accept either a bare list or { repos: [...] }
+    entries = Array.isArray(data) ? data : data && data.repos;
+    if (!Array.isArray(entries)) {
+      error('Manifest must be a list of repositories or an object with a "repos" list', EXIT_CODES.USAGE);
+    }
+  } else {
+    // Plain text: one URL per line, # starts a comment
+    entries = content
+      .split(/\r?\n/)
+      .map(line => line.replace(/#.*$/, '').trim())
+      .filter(line => line !== '');
+  }
+
+  return entries.map((entry, index) => {
+    if (typeof entry === 'string') {
+      return { url: entry };
+    }
+    if (!entry || typeof entry.url !== 'string' || entry.url.trim() === '') {
+      error(`Manifest entry ${index + 1} has no "url"`, EXIT_CODES.USAGE);
+    }
+    ['dest', 'name', 'branch']
+      .filter(field => entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string')
+      .forEach(field => error(`Manifest entry ${index + 1}: "${field}" must be a string`, EXIT_CODES.USAGE));
+    return {
+      url: entry.url,
+      dest: entry.dest,
+      name: entry.name,
+      branch: entry.branch,
+    };
+  });
+}
+
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) =>
+    Math.max(header.length, ...rows.map(row => String(row[i]).length))
+  );
+  const formatRow = row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    formatRow(headers),
+    formatRow(widths.map(width => '-'.repeat(width))),
+    ...rows.map(formatRow),
+  ].join('\n');
+}
+
+async function cloneFromManifest(manifestPath, projectsDir, config, options) {
+  const entries = readManifest(manifestPath);
+
+  if (entries.length === 0) {
+    log('Manifest contains no repositories.', 'warning');
+    return [];
+  }
+
+  return cloneEntries(entries, manifestPath, projectsDir, config, options);
+}
+
+// Where a manifest entry goes: its own dest, --dest, a layout rule or the
+// projects root. Returns { url, targetDir }, or { url, reason } when the
+// entry can't be cloned.
+function resolveEntryTarget(entry, projectsDir, config, options) {
+  const url = prepareCloneUrl(entry.url.trim(), config, options.protocol);
+  if (!validateGitUrl(url, { defaultHost: config.defaultHost }) && !options.yes) {
+    return { url, reason: 'does not look like a valid git URL' };
+  }
+
+  try {
+    return { url, targetDir: resolveDestination(url, { projectsDir, config, dest: entry.dest || options.dest, name: entry.name }) };
+  } catch (err) {
+    if (!(err instanceof DestinationError)) {
+      throw err;
+    }
+    return { url, reason: err.message };
+  }
+}
+
+// Clones a list of { url, dest, name, branch } entries in parallel and
+// prints a summary table. Returns one record per entry.
+async function cloneEntries(entries, source, projectsDir, config, options) {
+  const results = [];
+
+  log(`Cloning ${entries.length} repositories from ${source}\n`, 'info');
+
+  const startedAt = Date.now();
+  const queue = [];
+  const targets = new Set();
+
+  for (const entry of entries) {
+    const { url, targetDir, reason } = resolveEntryTarget(entry, projectsDir, config, options);
+    const record = { url, path: '', status: 'failed', reason: reason || '' };
+    results.push(record);
+
+    if (!targetDir) {
+      continue;
+    }
+    record.path = path.relative(projectsDir, targetDir);
+
+    if (targets.has(targetDir)) {
+      record.status = 'skipped';
+      record.reason = 'duplicate entry';
+      continue;
+    }
+    targets.add(targetDir);
+
+    if (fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0) {
+      record.status = 'skipped';
+      record.reason = 'already exists';
+      continue;
+    }
+
+    queue.push({ entry, record, targetDir });
+  }
+
+  await runWithConcurrency(queue, options.jobs || DEFAULT_JOBS, async ({ entry, record, targetDir }) => {
+    const label = record.path;
+    let lastProgress = null;
+
+    log(`→ ${label}: cloning ${record.url}`, 'info');
+
+    const overrides = entry.branch ? { ...options.clone, branch: entry.branch } : options.clone;
+    const result = await cloneTransactional(record.url, targetDir, projectsDir, {
+      clone: resolveCloneOptions(record.url, config, overrides),
+      onCommand: gitArgs => log(`  ${label}: git ${gitArgs.join(' ')}`, 'debug'),
+      onProgress: ({ phase, percent }) => {
+        // Only report phase changes and every quarter, so parallel output stays readable
+        const step = Math.floor(percent / 25);
+        if (lastProgress && lastProgress.phase === phase && lastProgress.step === step) {
+          return;
+        }
+        lastProgress = { phase, step };
+        log(`  ${label}: ${phase} ${percent}%`, 'detail');
+      },
+      onRetry: (attempt, delay, message) => {
+        log(`↻ ${label}: ${message}, retrying in ${delay / 1000}s`, 'warning');
+      },
+    });
+
+    record.attempts = result.attempts;
+    recordClone(record.url, targetDir, result, overrides);
+    if (result.ok) {
+      record.status = 'cloned';
+      success(`✓ ${label}`);
+    } else {
+      record.reason = result.message;
+      log(`✗ ${label}: ${result.message}`, 'error');
+      if (result.cleanup) {
+        describeCleanup([result.cleanup], projectsDir).forEach(line => log(`  ${label}: ${line}`, 'detail'));
+      }
+    }
+  });
+
+  // Post-clone steps stream their output, so they run one repository at a time
+  for (const { record, targetDir } of queue) {
+    if (record.status === 'cloned' && !(await runPostCloneSteps(targetDir, record.url, config, options, record.path))) {
+      record.reason = 'post-clone step failed';
+    }
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  if (output.json) {
+    const summary = { cloned: count('cloned'), skipped: count('skipped'), failed: count('failed') };
+    printJson({ source, projectsDir, repositories: results, summary, durationMs: Date.now() - startedAt });
+    return results;
+  }
+
+  const colors = { cloned: chalk.green, skipped: chalk.yellow, failed: chalk.red };
+  const table = formatTable(
+    ['STATUS', 'REPOSITORY', 'PATH', 'NOTE'],
+    results.map(result => [result.status, result.url, result.path, result.reason])
+  ).split('\n');
+
+  console.log(`\n${table[0]}\n${table[1]}`);
+  table.slice(2).forEach((line, i) => console.log(colors[results[i].status](line)));
+
+  const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+  log(`\n${count('cloned')} cloned, ${count('skipped')} skipped, ${count('failed')} failed in ${seconds}s`, count('failed') > 0 ? 'warning' : 'success');
+
+  return results;
+}
+
+// Keep long descriptions on one line in the repository list
+const MAX_DESCRIPTION_LENGTH = 60;
+
+function describeRepository(repo) {
+  const description = repo.description.length > MAX_DESCRIPTION_LENGTH
+    ? `${repo.description.slice(0, MAX_DESCRIPTION_LENGTH - 1)}…`
+    : repo.description;
+  return [repo.language, repo.archived ? 'archived' : '', description].filter(Boolean).join(' · ');
+}
+
+// A filterable multi-select: typing filters the list, choosing a repository
+// toggles it, and the list comes back until "Clone" is chosen
+async function selectRepositories(repositories, source) {
+  const selected = new Set();
+
+  const filter = (query) => {
+    if (!query) {
+      return repositories;
+    }
+    return repositories
+      .map(repo => ({ repo, score: fuzzyScore(query, repo.name) }))
+      .filter(item => item.score !== null)
+      .sort((a, b) => b.score - a.score)
+      .map(item => item.repo);
+  };
+
+  const buildChoices = (input) => {
+    const query = (input || '').trim();
+    const matches = filter(query);
+    const actions = [{ name: chalk.green(`✓ Clone ${selected.size} selected`), value: 'done' }];
+    if (query && matches.length > 1) {
+      actions.push({ name: chalk.cyan(`＋ Toggle all ${matches.length} matches`), value: `all:${query}` });
+    }
+
+    const items = matches.map((repo) => {
+      const mark = selected.has(repo.fullName) ? chalk.green('◉') : '◯';
+      const details = describeRepository(repo);
+      return {
+        name: `${mark} ${repo.archived ? chalk.dim(repo.name) : repo.name}${details ? chalk.dim(`  ${details}`) : ''}`,
+        value: `repo:${repo.fullName}`,
+        short: repo.name,
+      };
+    });
+    // While filtering, the best match comes first so Enter picks it
+    return query ? [...items, ...actions] : [...actions, ...items];
+  };
+
+  for (;;) {
+    const { choice } = await inquirer.prompt([
+      {
+        type: 'autocomplete',
+        name: 'choice',
+        message: `Select repositories from ${source} (type to filter, Enter toggles):`,
+        pageSize: 15,
+        source: async (answers, input) => buildChoices(input),
+      },
+    ]);
+
+    if (choice === 'done') {
+      return repositories.filter(repo => selected.has(repo.fullName));
+    }
+
+    if (choice.startsWith('all:')) {
+      const matches = filter(choice.slice(4)).map(repo => repo.fullName);
+      const allSelected = matches.every(name => selected.has(name));
+      matches.forEach(name => (allSelected ? selected.delete(name) : selected.add(name)));
+    } else {
+      const name = choice.slice(5);
+      if (selected.has(name)) {
+        selected.delete(name);
+      } else {
+        selected.add(name);
+      }
+    }
+  }
+}
+
+// The repositories of the organization or user given with --org/--user,
+// as { forge, source, repositories }
+async function fetchForgeRepositories(config, options) {
+  const hostName = options.host || config.defaultHost || DEFAULT_HOST;
+  const [host, port] = hostName.split(':');
+  const forge = getForge(host, port ? Number(port) : null, config);
+  if (!forge) {
+    error(`${host} is not a known forge. Add it under "forges" in the config.`, EXIT_CODES.USAGE);
+  }
+
+  const owner = options.org ? { org: options.org } : { user: options.user };
+  const source = `${hostName}/${options.org || options.user}`;
+  if (!options.json) {
+    log(`Fetching repositories of ${source}...`, 'info');
+  }
+
+  try {
+    return { forge, source, repositories: await listRepositories(forge, owner) };
+  } catch (err) {
+    error(`Could not list the repositories of ${source}: ${err.message}`, EXIT_CODES.FORGE);
+  }
+}
+
+function cloneUrlOf(repo, forge) {
+  return forge.protocol === 'ssh' ? repo.sshUrl : repo.httpsUrl;
+}
+
+// Lists the repositories of an organization or user on a forge, lets the
+// user pick some and clones them like a manifest
+async function cloneFromForge(projectsDir, config, options) {
+  const listing = await fetchForgeRepositories(config, options);
+  const { forge, source } = listing;
+  const repositories = listing.repositories.filter(repo => !options.match || matchesPattern(options.match, repo.name));
+
+  if (repositories.length === 0) {
+    log(`No repositories found for ${source}${options.match ? ` matching "${options.match}"` : ''}.`, 'warning');
+    return [];
+  }
+
+  let chosen;
+  if (options.yes) {
+    chosen = repositories.filter(repo => options.includeArchived || !repo.archived);
+  } else if (!isInteractive()) {
+    error('Cannot show the repository list because stdin is not a TTY. Pass --yes to clone all of them, and --match to narrow them down.', EXIT_CODES.NEEDS_INPUT);
+  } else {
+    chosen = await selectRepositories(repositories, source);
+  }
+
+  if (chosen.length === 0) {
+    log('No repositories selected.', 'warning');
+    return [];
+  }
+
+  let entries = chosen.map(repo => ({
+    url: cloneUrlOf(repo, forge),
+    dest: null,
+    name: null,
+    branch: null,
+  }));
+
+  // Layout rules place repositories on their own; ask once where the rest go
+  const unplaced = entries.filter(entry => !resolveLayoutPath(entry.url, config));
+  if (!options.dest && unplaced.length > 0 && !options.yes) {
+    const folder = await promptDestination(projectsDir, `<${unplaced.length === 1 ? '1 repository' : `${unplaced.length} repositories`}>`, config, { folderOnly: true });
+    const dest = path.relative(projectsDir, folder) || '.';
+    entries = entries.map(entry => (unplaced.includes(entry) ? { ...entry, dest } : entry));
+  }
+
+  return cloneEntries(entries, source, projectsDir, config, options);
+}
+
+const SYNC_COLORS = {
+  cloned: chalk.green,
+  updated: chalk.green,
+  'up-to-date': chalk.reset,
+  fetched: chalk.reset,
+  dirty: chalk.yellow,
+  ahead: chalk.yellow,
+  diverged: chalk.yellow,
+  removed: chalk.yellow,
+  failed: chalk.red,
+};
+
+// Clones a repository that sync found missing
+async function syncClone(url, targetDir, projectsDir, config, overrides) {
+  const cloneOptions = resolveCloneOptions(url, config, overrides);
+  const result = await cloneTransactional(url, targetDir, projectsDir, { clone: cloneOptions });
+  recordClone(url, targetDir, result, cloneOptions);
+  return result.ok
+    ? { status: 'cloned', branch: getCurrentBranch(targetDir), message: '' }
+    : { status: 'failed', message: result.message };
+}
+
+// Working copies under the projects directory that were cloned from the
+// org or user but aren't listed there any more
+function findRemovedRepositories(listing, projectsDir, config) {
+  const urlOptions = { defaultHost: config.defaultHost };
+  const owner = (listing.owner || '').toLowerCase();
+  const listed = new Set(listing.repositories
+    .flatMap(repo => [repo.httpsUrl, repo.sshUrl])
+    .map(url => normalizeGitUrl(url, urlOptions))
+    .filter(Boolean));
+  const scanDepth = config.scanDepth === undefined ? DEFAULT_SCAN_DEPTH : config.scanDepth;
+
+  // A fresh walk, since the cache doesn't know about clones made since it was written
+  return scanRepositories(projectsDir, { maxDepth: scanDepth, cacheFile: getConfigPath().scanCacheFile, refresh: true })
+    .filter((repo) => {
+      const origin = repo.remotes.origin && parseGitUrl(repo.remotes.origin, urlOptions);
+      return origin &&
+        origin.host === listing.forge.host &&
+        origin.owner.toLowerCase() === owner &&
+        !listed.has(normalizeGitUrl(repo.remotes.origin, urlOptions));
+    })
+    .map(repo => ({ url: repo.remotes.origin, targetDir: repo.path }));
+}
+
+// Makes the local tree match a manifest or an org/user listing: clones what
+// is missing and fetches and fast-forwards what is there. Local work is never
+// touched; repositories with changes or diverged branches are reported.
+async function syncCommand(args) {
+  const options = parseCommandArgs(args, SYNC_COMMAND);
+  const sources = [options.from, options.org, options.user].filter(Boolean);
+  if (options.url || sources.length !== 1) {
+    error('Usage: git-clone-select sync --from <file> | --org <name> | --user <name>', EXIT_CODES.USAGE);
+  }
+  if (!checkGitInstalled()) {
+    error('Git is not installed or not found in PATH. Please install Git first.', EXIT_CODES.GIT);
+  }
+
+  const { config, projectsDir } = await loadWorkspaceConfig(options);
+  let entries;
+  let source;
+  let removed = [];
+
+  if (options.from) {
+    entries = readManifest(options.from);
+    source = options.from;
+  } else {
+    const listing = await fetchForgeRepositories(config, options);
+    const repositories = listing.repositories.filter(repo => !options.match || matchesPattern(options.match, repo.name));
+    source = listing.source;
+    entries = repositories.map(repo => ({ url: cloneUrlOf(repo, listing.forge), archived: repo.archived }));
+    if (!options.match) {
+      removed = findRemovedRepositories({ ...listing, owner: options.org || options.user }, projectsDir, config);
+    }
+  }
+
+  const results = [];
+  const queue = [];
+  const targets = new Set();
+
+  for (const entry of entries) {
+    const { url, targetDir, reason } = resolveEntryTarget(entry, projectsDir, config, options);
+    const record = { url, path: targetDir ? path.relative(projectsDir, targetDir) : '', status: 'failed', branch: null, message: reason || '' };
+    if (targetDir && targets.has(targetDir)) {
+      continue;
+    }
+    const exists = Boolean(targetDir) && fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0;
+    // Archived repositories are kept in sync but not cloned unless asked for
+    if (entry.archived && !exists && !options.includeArchived) {
+      continue;
+    }
+    results.push(record);
+    if (targetDir) {
+      targets.add(targetDir);
+      queue.push({ entry, record, targetDir, exists });
+    }
+  }
+
+  removed
+    .filter(repo => !targets.has(repo.targetDir))
+    .forEach(repo => results.push({
+      url: repo.url,
+      path: path.relative(projectsDir, repo.targetDir),
+      status: 'removed',
+      branch: null,
+      message: `no longer listed in ${source}`,
+    }));
+
+  if (!options.json) {
+    log(`Syncing ${queue.length} repositories from ${source}\n`, 'info');
+  }
+  const startedAt = Date.now();
+
+  await runWithConcurrency(queue, options.jobs || DEFAULT_JOBS, async ({ entry, record, targetDir, exists }) => {
+    let outcome;
+    if (!exists) {
+      const overrides = entry.branch ? { ...options.clone, branch: entry.branch } : options.clone;
+      outcome = await syncClone(record.url, targetDir, projectsDir, config, overrides);
+    } else if (!fs.existsSync(path.join(targetDir, '.git'))) {
+      outcome = { status: 'failed', message: 'exists but is not a git repository' };
+    } else {
+      outcome = await syncRepository(targetDir);
+    }
+    Object.assign(record, { branch: outcome.branch || null, status: outcome.status, message: outcome.message || '' });
+    if (!options.json) {
+      console.log(SYNC_COLORS[record.status](`${record.status.padEnd(10)} ${record.path}`));
+    }
+  });
+
+  const summary = {};
+  results.forEach((result) => {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+  });
+
+  if (options.json) {
+    printJson({ source, projectsDir, repositories: results, summary });
+    return results;
+  }
+
+  const table = formatTable(
+    ['STATUS', 'PATH', 'BRANCH', 'NOTE'],
+    results.map(result => [result.status, result.path, result.branch || '', result.message])
+  ).split('\n');
+  console.log(`\n${table[0]}\n${table[1]}`);
+  table.slice(2).forEach((line, i) => console.log(SYNC_COLORS[results[i].status](line)));
+
+  const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+  const counts = Object.entries(summary).map(([status, count]) => `${count} ${status}`).join(', ');
+  log(`\n${counts || 'Nothing to sync'} in ${seconds}s`, summary.failed ? 'warning' : 'success');
+  return results;
+}
+
+function formatAge(timestamp) {
+  const days = Math.floor((Date.now() - new Date(timestamp).getTime()) / (24 * 60 * 60 * 1000));
+  if (days < 1) {
+    return 'today';
+  }
+  if (days < 60) {
+    return `${days}d ago`;
+  }
+  return days < 730 ? `${Math.floor(days / 30)}mo ago` : `${Math.floor(days / 365)}y ago`;
+}
+
+// Branch, changes, ahead/behind, stashes and last commit of every
+// repository under the projects directory
+async function statusCommand(args) {
+  const options = parseCommandArgs(args, STATUS_COMMAND);
+  if (!checkGitInstalled()) {
+    error('Git is not installed or not found in PATH. Please install Git first.', EXIT_CODES.GIT);
+  }
+
+  // Report on the default workspace instead of asking which one
+  const { config, projectsDir } = await loadWorkspaceConfig({ ...options, yes: true });
+  const repoDirs = findRepositories(projectsDir, { maxDepth: config.scanDepth === undefined ? DEFAULT_SCAN_DEPTH : config.scanDepth });
+
+  const statuses = (await runWithConcurrency(repoDirs, options.jobs, repositoryStatus))
+    .filter(status => !options.dirty || status.changes !== 0)
+    .filter(status => options.stale === null || !status.lastCommit || Date.now() - new Date(status.lastCommit).getTime() > options.stale)
+    .map(status => ({ ...status, path: path.relative(projectsDir, status.path) }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  if (options.json) {
+    printJson({ projectsDir, repositories: statuses });
+    return statuses;
+  }
+
+  if (statuses.length === 0) {
+    log(repoDirs.length === 0 ? `No repositories found in ${projectsDir}` : 'No repositories match the filters.', 'info');
+    return statuses;
+  }
+
+  const table = formatTable(
+    ['PATH', 'BRANCH', 'CHANGES', 'AHEAD/BEHIND', 'STASHES', 'LAST COMMIT'],
+    statuses.map(status => [
+      status.path,
+      status.branch || '?',
+      status.changes === null ? '?' : status.changes > 0 ? `${status.changes} changed` : 'clean',
+      status.ahead === null ? '-' : `↑${status.ahead} ↓${status.behind}`,
+      status.stashes || '',
+      status.lastCommit ? `${formatDate(status.lastCommit)} (${formatAge(status.lastCommit)})` : 'no commits',
+    ])
+  ).split('\n');
+
+  console.log(`${table[0]}\n${table[1]}`);
+  table.slice(2).forEach((line, i) => {
+    const status = statuses[i];
+    const attention = status.changes !== 0 || status.ahead > 0 || status.behind > 0;
+    console.log(attention ? chalk.yellow(line) : line);
+  });
+
+  const dirty = statuses.filter(status => status.changes > 0).length;
+  log(`\n${statuses.length} repositories, ${dirty} with local changes`, 'info');
+  return statuses;
+}
+
+// Moves a clone to another folder in the projects directory and updates the
+// clone history and .code-workspace files that point at it
+async function moveCommand(args) {
+  const options = parseCommandArgs(args, MOVE_COMMAND);
+  if (!options.path) {
+    error('Usage: git-clone-select move <repo-path> [--dest <path>] [--name <folder>]', EXIT_CODES.USAGE);
+  }
+
+  // Without --workspace, use the workspace the repository is in
+  const workspace = options.workspace || findWorkspaceFor(path.resolve(options.path), readConfig());
+  const { config, projectsDir } = await loadWorkspaceConfig({ workspace, yes: true });
+  const root = path.resolve(projectsDir);
+
+  // Relative paths are looked up from the current directory, then the projects directory
+  const source = [path.resolve(options.path), path.resolve(root, options.path)].find(candidate => fs.existsSync(candidate));
+  if (!source) {
+    error(`"${options.path}" does not exist`, EXIT_CODES.USAGE);
+  }
+  const from = validatePathWithinProjectsDir(source, root);
+  if (!from || from === root) {
+    error('Only repositories inside the projects directory can be moved.', EXIT_CODES.DESTINATION);
+  }
+  if (!fs.existsSync(path.join(from, '.git'))) {
+    error(`"${from}" is not a git repository`, EXIT_CODES.USAGE);
+  }
+
+  let target;
+  if (options.dest || options.name) {
+    const name = options.name || path.basename(from);
+    const valid = validateFolderName(name);
+    if (valid !== true) {
+      error(`Invalid --name: ${valid}`, EXIT_CODES.DESTINATION);
+    }
+    target = path.join(options.dest ? path.resolve(root, options.dest) : path.dirname(from), name.trim());
+  } else if (isInteractive()) {
+    log(`Moving ${path.relative(root, from)}`, 'info');
+    target = await promptDestination(root, path.basename(from), config);
+  } else {
+    error('Cannot prompt for a destination because stdin is not a TTY. Pass --dest and/or --name.', EXIT_CODES.NEEDS_INPUT);
+  }
+
+  const to = validatePathWithinProjectsDir(target, root);
+  if (!to) {
+    error('Invalid path: target directory is outside Projects folder. This is not allowed.', EXIT_CODES.DESTINATION);
+  }
+  if (to === from) {
+    log('The repository is already there.', 'info');
+    return;
+  }
+  if (to.startsWith(from + path.sep)) {
+    error('Cannot move a repository into itself.', EXIT_CODES.DESTINATION);
+  }
+  if (fs.existsSync(to) && fs.readdirSync(to).length > 0) {
+    error(`"${path.relative(root, to)}" already exists and is not empty.`, EXIT_CODES.DESTINATION);
+  }
+
+  if (!(await confirm(`Move ${path.relative(root, from)} to ${path.relative(root, to)}?`, true, options))) {
+    log('Operation cancelled.', 'info');
+    exitWith(EXIT_CODES.CANCELLED, 'Operation cancelled');
+  }
+
+  let moved;
+  try {
+    moved = moveDirectory(from, to);
+  } catch (err) {
+    error(`Could not move ${from}: ${err.message}`);
+  }
+  if (moved.copied) {
+    log('Copied across devices; the copy was verified before the original was removed.', 'info');
+  }
+
+  // Linked worktrees record the path of the repository they belong to
+  if (fs.existsSync(path.join(to, '.git', 'worktrees'))) {
+    runGit(to, ['worktree', 'repair']);
+  }
+
+  try {
+    const entries = moveHistoryPaths(getConfigPath().historyFile, from, to);
+    if (entries > 0) {
+      log(`Updated ${entries} history ${entries === 1 ? 'entry' : 'entries'}`, 'info');
+    }
+  } catch (err) {
+    log(`Warning: Could not update clone history: ${err.message}`, 'warning');
+  }
+
+  const workspaces = updateWorkspaceFiles(root, from, to);
+  workspaces.updated.forEach(file => log(`Updated ${path.relative(root, file)}`, 'info'));
+  workspaces.skipped.forEach(file => log(`Could not read ${path.relative(root, file)}; check its folder paths by hand`, 'warning'));
+
+  success(`✓ Moved to ${to}`);
+}
+
+
+// Removes folders left empty by a pruned repository, up to the projects directory
+function removeEmptyParents(dir, root) {
+  for (let current = path.dirname(dir); current !== root && current.startsWith(root + path.sep); current = path.dirname(current)) {
+    try {
+      if (fs.readdirSync(current).length > 0) {
+        return;
+      }
+      fs.rmdirSync(current);
+    } catch (err) {
+      return;
+    }
+  }
+}
+
+// Finds repositories that haven't been used for a while and, when asked to,
+// deletes or archives the ones picked. Repositories with uncommitted changes,
+// unpushed commits or stashes are always kept.
+async function pruneCommand(args) {
+  const options = parseCommandArgs(args, PRUNE_COMMAND);
+  if (options.delete && options.archive) {
+    error('Use either --delete or --archive, not both.', EXIT_CODES.USAGE);
+  }
+  if (!checkGitInstalled()) {
+    error('Git is not installed or not found in PATH. Please install Git first.', EXIT_CODES.GIT);
+  }
+
+  const { config, projectsDir } = await loadWorkspaceConfig({ ...options, yes: true });
+  const root = path.resolve(projectsDir);
+  const archiveDir = path.resolve(root, options.archiveDir);
+  const action = options.delete ? 'delete' : options.archive ? 'archive' : null;
+
+  const repoDirs = findRepositories(root, { maxDepth: config.scanDepth === undefined ? DEFAULT_SCAN_DEPTH : config.scanDepth })
+    // Never prune the repository the archive is written into
+    .filter(repoDir => !archiveDir.startsWith(repoDir + path.sep));
+  const stale = (await runWithConcurrency(repoDirs, options.jobs, inspectRepository))
+    .filter(repo => !repo.lastActivity || Date.now() - new Date(repo.lastActivity).getTime() > options.stale)
+    .map(repo => ({ ...repo, name: path.relative(root, repo.path) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  if (stale.length === 0) {
+    log(repoDirs.length === 0 ? `No repositories found in ${root}` : 'No stale repositories found.', 'info');
+    return [];
+  }
+
+  const table = formatTable(
+    ['PATH', 'LAST USED', 'RESULT'],
+    stale.map(repo => [
+      repo.name,
+      repo.lastActivity ? `${formatDate(repo.lastActivity)} (${formatAge(repo.lastActivity)})` : 'unknown',
+      repo.blockers.length > 0 ? `keep: ${repo.blockers.join(', ')}` : action || 'can be pruned',
+    ])
+  ).split('\n');
+  console.log(`${table[0]}\n${table[1]}`);
+  table.slice(2).forEach((line, i) => console.log(stale[i].blockers.length > 0 ? chalk.yellow(line) : line));
+
+  const candidates = stale.filter(repo => repo.blockers.length === 0);
+  log(`\n${stale.length} stale repositories, ${candidates.length} can be pruned`, 'info');
+
+  if (!action || options.dryRun || candidates.length === 0) {
+    if (candidates.length > 0) {
+      log('Dry run: nothing was changed. Pass --delete or --archive [tar|mirror] to prune them.', 'info');
+    }
+    return [];
+  }
+
+  let selected = candidates;
+  if (!options.yes) {
+    if (!isInteractive()) {
+      error('Cannot confirm which repositories to prune because stdin is not a TTY. Pass --yes to prune all of them.', EXIT_CODES.NEEDS_INPUT);
+    }
+    ({ selected } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selected',
+        message: `Select repositories to ${action}:`,
+        choices: candidates.map(repo => ({
+          name: `${repo.name} ${chalk.dim(`(${repo.lastActivity ? formatAge(repo.lastActivity) : 'unknown'})`)}`,
+          value: repo,
+        })),
+        pageSize: 15,
+      },
+    ]));
+    if (selected.length === 0) {
+      log('Nothing selected.', 'info');
+      return [];
+    }
+    const where = action === 'archive' ? ` into ${archiveDir}` : '';
+    if (!(await confirm(`${action === 'delete' ? 'Delete' : 'Archive'} ${selected.length} ${selected.length === 1 ? 'repository' : 'repositories'}${where}?`, false, options))) {
+      log('Operation cancelled.', 'info');
+      exitWith(EXIT_CODES.CANCELLED, 'Operation cancelled');
+    }
+  }
+
+  const results = [];
+  for (const repo of selected) {
+    // Check again right before removing anything; the repository may have been used since the report
+    const { blockers } = await inspectRepository(repo.path);
+    if (blockers.length > 0) {
+      log(`Kept ${repo.name}: ${blockers.join(', ')}`, 'warning');
+      results.push({ path: repo.name, status: 'kept' });
+      continue;
+    }
+
+    try {
+      if (action === 'delete') {
+        removeDir(repo.path);
+        log(`Deleted ${repo.name}`, 'success');
+      } else {
+        const archive = archiveRepository(repo.path, repo.name, archiveDir, options.archive);
+        log(`Archived ${repo.name} to ${path.relative(root, archive)}`, 'success');
+      }
+      removeEmptyParents(repo.path, root);
+      results.push({ path: repo.name, status: action === 'delete' ? 'deleted' : 'archived' });
+    } catch (err) {
+      log(`Could not ${action} ${repo.name}: ${err.message}`, 'error');
+      results.push({ path: repo.name, status: 'failed' });
+    }
+  }
+
+  const done = results.filter(result => result.status === 'deleted' || result.status === 'archived').length;
+  const failed = results.filter(result => result.status === 'failed').length;
+  log(`\n${action === 'delete' ? 'Deleted' : 'Archived'} ${done} of ${selected.length}${failed > 0 ? `, ${failed} failed` : ''}`, failed > 0 ? 'warning' : 'success');
+  return results;
+}
+
+// Folders below `dir`, relative to it, for type-to-search in the picker.
+// Doesn't descend into repositories or dependency folders.
+function listFoldersDeep(dir, maxDepth, options = {}) {
+  const folders = [];
+
+  const walk = (relativeDir, depth) => {
+    for (const name of getExistingFolders(path.join(dir, relativeDir), options)) {
+      const relative = path.join(relativeDir, name);
+      const repository = fs.existsSync(path.join(dir, relative, '.git'));
+      if (!repository && isSkippedDir(name)) {
+        continue;
+      }
+      folders.push(relative);
+      if (depth < maxDepth && !repository) {
+        walk(relative, depth + 1);
+      }
+    }
+  };
+
+  walk('', 1);
+  return folders;
+}
+
+// Subsequence match: every character of the query must appear in order.
+// Consecutive matches score higher; returns null when there is no match.
+function fuzzyScore(query, text) {
+  const needle = query.toLowerCase();
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let streak = 0;
+  let position = 0;
+
+  for (const char of needle) {
+    const found = haystack.indexOf(char, position);
+    if (found === -1) {
+      return null;
+    }
+    streak = found === position ? streak + 1 : 0;
+    score += 1 + streak * 2;
+    position = found + 1;
+  }
+
+  // Prefer shorter paths for the same match
+  return score - haystack.length * 0.01;
+}
+
+// Parent folders of recent clones, newest first
+function recentDestinations(projectsDir, limit) {
+  const { historyFile } = getConfigPath();
+  const destinations = [];
+
+  for (const entry of readHistory(historyFile).slice().reverse()) {
+    if (destinations.length >= limit) {
+      break;
+    }
+    if (entry.status !== 'success') {
+      continue;
+    }
+    const parent = path.dirname(path.resolve(entry.path));
+    if (!destinations.includes(parent) && validatePathWithinProjectsDir(parent, projectsDir) && fs.existsSync(parent)) {
+      destinations.push(parent);
+    }
+  }
+
+  return destinations;
+}
+
+const PICKER_SEARCH_DEPTH = 4;
+
+// With `folderOnly` the chosen folder itself is returned, without asking for a name
+async function promptDestination(projectsDir, defaultRepoName, config = {}, options = {}) {
+  const folderOptions = { hideRepositories: Boolean(config.hideRepositories) };
+  const recent = recentDestinations(projectsDir, 5);
+  const searchCache = new Map();
+  let current = path.resolve(projectsDir);
+
+  const displayPath = (dir) => {
+    const relative = path.relative(projectsDir, dir);
+    return relative ? `${relative}${path.sep}` : `Projects root${path.sep}`;
+  };
+
+  const buildChoices = (input) => {
+    const query = (input || '').trim();
+    const choices = [
+      { name: chalk.green(`✓ Clone here (${displayPath(current)}${defaultRepoName})`), value: 'here' },
+    ];
+    if (current !== path.resolve(projectsDir)) {
+      choices.push({ name: '⬆  ..', value: 'up' });
+    }
+
+    const recentChoices = recent
+      .filter(dir => dir !== current)
+      .map(dir => ({ dir, name: `🕘 ${displayPath(dir)}` }));
+
+    if (!query) {
+      const children = getExistingFolders(current, folderOptions)
+        .map(name => ({ name: `📂 ${name}${path.sep}`, value: `enter:${path.join(current, name)}` }));
+      return [
+        ...choices,
+        ...recentChoices.map(item => ({ name: item.name, value: `enter:${item.dir}` })),
+        ...children,
+      ];
+    }
+
+    if (!searchCache.has(current)) {
+      searchCache.set(current, listFoldersDeep(current, PICKER_SEARCH_DEPTH, folderOptions));
+    }
+
+    const matches = [
+      ...recentChoices.map(item => ({ dir: item.dir, name: item.name, text: path.relative(projectsDir, item.dir) })),
+      ...searchCache.get(current).map(relative => ({
+        dir: path.join(current, relative),
+        name: `📂 ${relative}${path.sep}`,
+        text: relative,
+      })),
+    ]
+      .map(item => ({ ...item, score: fuzzyScore(query, item.text) }))
+      .filter(item => item.score !== null)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 50)
+      .map(item => ({ name: item.name, value: `enter:${item.dir}` }));
+
+    // Offer to create the typed path (intermediate folders included)
+    const segments = query.split(/[\\/]+/).filter(Boolean);
+    const newDir = path.join(current, ...segments);
+    if (
+      segments.length > 0 &&
+      segments.every(segment => segment !== '.' && segment !== '..') &&
+      !fs.existsSync(newDir) &&
+      validatePathWithinProjectsDir(newDir, projectsDir)
+    ) {
+      matches.push({ name: chalk.cyan(`＋ Create ${displayPath(newDir)}`), value: `create:${newDir}` });
+    }
+
+    // While searching, the best match comes first so Enter picks it
+    return [...matches, ...choices];
+  };
+
+  for (;;) {
+    const { choice } = await inquirer.prompt([
+      {
+        type: 'autocomplete',
+        name: 'choice',
+        message: `Choose a destination in ${displayPath(current)} (type to search):`,
+        pageSize: 15,
+        source: async (answers, input) => buildChoices(input),
+      },
+    ]);
+
+    if (choice === 'here') {
+      break;
+    }
+
+    const next = choice === 'up' ? path.dirname(current) : choice.slice(choice.indexOf(':') + 1);
+    // Never leave the projects directory, whatever was typed
+    if (validatePathWithinProjectsDir(next, projectsDir)) {
+      current = path.resolve(next);
+    }
+  }
+
+  if (options.folderOnly) {
+    return current;
+  }
+
+  // Ask for the folder name
+  const { folderName } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'folderName',
+      message: options.template ? 'Enter a name for the new project:' : 'Enter folder name for the cloned repository:',
+      default: defaultRepoName,
+      validate: (input) => {
+        const valid = validateFolderName(input);
+        if (valid !== true) {
+          return valid;
+        }
+        
+        // Check if folder already exists in the chosen location
+        if (fs.existsSync(path.join(current, input.trim()))) {
+          return `Folder "${input.trim()}" already exists in ${displayPath(current)}. Choose a different name.`;
+        }
+        
+        return true;
+      },
+    },
+  ]);
+
+  return path.join(current, folderName.trim());
+}
+
+async function main() {
+  process.on('SIGINT', () => cancelClones('SIGINT'));
+  process.on('SIGTERM', () => cancelClones('SIGTERM'));
+
+  const args = process.argv.slice(2);
+  // Known before parsing, so even usage errors come out as JSON with --json
+  const flags = args.includes('--') ? args.slice(0, args.indexOf('--')) : args;
+  configureOutput({
+    json: flags.includes('--json'),
+    quiet: flags.includes('-q') || flags.includes('--quiet'),
+    verbose: flags.includes('--verbose'),
+  });
+  if (args.length === 0) {
+    showHelp();
+    process.exit(0);
+  }
+
+  // Hidden command the completion scripts call
+  if (args[0] === '__complete') {
+    completeCommand(args.slice(1));
+    process.exit(0);
+  }
+  
   if (args[0] === '--set-config') {
     if (!args[1]) {
-      error('Usage: git-clone-select --set-config <path>');
+      error('Usage: git-clone-select --set-config <path>', EXIT_CODES.USAGE);
     }
     await setConfig(args[1]);
     process.exit(0);
   }
   
+  if (args[0] === '--set-editor') {
+    if (!args[1]) {
+      error('Usage: git-clone-select --set-editor <editor>', EXIT_CODES.USAGE);
+    }
+    setEditor(args[1]);
+    process.exit(0);
+  }
+  
   if (args[0] === '--reset-config') {
     const { configFile } = getConfigPath();
     if (fs.existsSync(configFile)) {
@@ -457,298 +2708,253 @@ async function main() {
     log('Run git-clone-select to set up configuration.', 'info');
     process.exit(0);
   }
-  
+
+  // Anything that isn't a command is the URL or an option of clone
+  const name = COMMANDS[args[0]] ? args[0] : COMMAND_ALIASES[args[0]];
+  if (!name) {
+    rejectMistypedCommand(args[0]);
+  }
+  const results = await COMMANDS[name || 'clone'].run(name ? args.slice(1) : args);
+  process.exit(Array.isArray(results) && results.some(result => result.status === 'failed') ? EXIT_CODES.ERROR : 0);
+}
+
+// "git-clone-select stauts" would otherwise be taken for a URL
+function rejectMistypedCommand(arg) {
+  if (/[/:.@~\\]/.test(arg) || arg.startsWith('-') || fs.existsSync(arg)) {
+    return;
+  }
+  const match = suggest(arg, Object.keys(COMMANDS));
+  if (match) {
+    error(`Unknown command "${arg}". Did you mean ${match}?`, EXIT_CODES.USAGE);
+  }
+}
+
+async function cloneCommand(args) {
+  const options = parseCommandArgs(args, CLONE_COMMAND);
+  // "-w work status" reaches here with "status" as the URL
+  if (options.url && COMMANDS[options.url] && options.url !== 'clone' && !fs.existsSync(options.url)) {
+    error(`Put the command first: ${PROGRAM} ${options.url} [options]`, EXIT_CODES.USAGE);
+  }
+
   // Check if git is installed
   if (!checkGitInstalled()) {
-    error('Git is not installed or not found in PATH. Please install Git first.');
+    error('Git is not installed or not found in PATH. Please install Git first.', EXIT_CODES.GIT);
   }
 
-  // Load or setup configuration
-  let PROJECTS_DIR = getProjectsDir();
-  
-  if (!PROJECTS_DIR) {
-    PROJECTS_DIR = await setupConfig();
+  const { config, projectsDir: PROJECTS_DIR } = await loadWorkspaceConfig(options);
+
+  if (options.template && (options.from || options.org || options.user)) {
+    error('--template starts one project at a time; pass a git URL', EXIT_CODES.USAGE);
   }
-  
-  // Validate projects directory exists
-  if (!fs.existsSync(PROJECTS_DIR)) {
-    const { create } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'create',
-        message: `Projects directory "${PROJECTS_DIR}" doesn't exist. Create it?`,
-        default: true,
-      },
-    ]);
-    
-    if (create) {
-      try {
-        fs.mkdirSync(PROJECTS_DIR, { recursive: true });
-        success(`Created directory: ${PROJECTS_DIR}`);
-      } catch (err) {
-        error(`Failed to create directory: ${err.message}`);
-      }
-    } else {
-      error('Cannot proceed without a valid projects directory.');
+  if ((options.origin || !options.placeholders) && !options.template) {
+    error(`${options.origin ? '--origin' : '--no-placeholders'} only works with --template`, EXIT_CODES.USAGE);
+  }
+
+  if (options.org || options.user) {
+    if (options.url || options.from || (options.org && options.user)) {
+      error('Pass only one of a git URL, --from, --org or --user', EXIT_CODES.USAGE);
+    }
+    const results = await cloneFromForge(PROJECTS_DIR, config, options);
+    process.exit(results.some(result => result.status === 'failed') ? EXIT_CODES.ERROR : 0);
+  }
+
+  if (options.from) {
+    if (options.url) {
+      error('Pass either a git URL or --from <file>, not both', EXIT_CODES.USAGE);
     }
+    const results = await cloneFromManifest(options.from, PROJECTS_DIR, config, options);
+    process.exit(results.some(result => result.status === 'failed') ? EXIT_CODES.ERROR : 0);
   }
 
   // Get git URL from command line arguments
-  const gitUrl = args[0];
+  const urlOptions = { defaultHost: config.defaultHost };
+  let gitUrl = options.url;
 
   if (!gitUrl) {
-    error('Usage: git-clone-select <git-url>\nExample: git-clone-select https://github.com/user/repo.git');
+    error('Usage: git-clone-select <git-url>\nExample: git-clone-select https://github.com/user/repo.git', EXIT_CODES.USAGE);
+  }
+  cloneReport = { input: gitUrl, url: null, parsed: null, path: null, branch: null, startedAt: Date.now() };
+
+  const cloneUrl = prepareCloneUrl(gitUrl, config, options.protocol);
+  if (cloneUrl !== gitUrl) {
+    gitUrl = cloneUrl;
+    log(`Using ${gitUrl}`, 'info');
   }
 
-  if (!validateGitUrl(gitUrl)) {
+  if (!validateGitUrl(gitUrl, urlOptions)) {
+    // Nobody can vouch for the URL in scripts, so it's an error there
+    if (!options.yes && !isInteractive()) {
+      error(`"${gitUrl}" is not a valid git URL`, EXIT_CODES.INVALID_URL);
+    }
     log(`Warning: "${gitUrl}" doesn't look like a valid git URL`, 'warning');
-    const { proceed } = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'proceed',
-        message: 'Do you want to proceed anyway?',
-        default: false,
-      },
-    ]);
+    const proceed = await confirm('Do you want to proceed anyway?', false, options);
     if (!proceed) {
-      process.exit(0);
+      exitWith(EXIT_CODES.CANCELLED, `"${gitUrl}" is not a valid git URL`);
     }
   }
 
-  // Get existing folders
-  const existingFolders = getExistingFolders(PROJECTS_DIR);
-  const defaultRepoName = extractRepoName(gitUrl) || 'repository';
+  // A new project from a template is neither a fork nor another copy of it
+  const fork = options.template ? { url: gitUrl } : await resolveFork(gitUrl, config, options);
+  gitUrl = fork.url;
+  cloneReport.url = gitUrl;
+  cloneReport.parsed = urlParts(gitUrl, urlOptions);
 
-  // Determine target folder
-  let targetFolder;
-  let isExistingFolder = false;
-  
-  if (existingFolders.length === 0) {
-    // No existing folders, just ask for folder name
-    const { folderName } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'folderName',
-        message: 'Enter folder name for the cloned repository:',
-        default: defaultRepoName,
-        validate: (input) => {
-          if (!input || input.trim() === '') {
-            return 'Folder name cannot be empty';
-          }
-          if (input.includes('/') || input.includes('\\')) {
-            return 'Folder name cannot contain slashes';
-          }
-          return true;
-        },
-      },
-    ]);
-    targetFolder = folderName.trim();
-  } else {
-    // Ask if user wants to use existing folder or create new one
-    const { action } = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'action',
-        message: 'Choose an option:',
-        choices: [
-          { name: 'Create a new folder', value: 'new' },
-          { name: 'Use an existing folder', value: 'existing' },
-        ],
-      },
-    ]);
+  if (!options.template) {
+    await checkExistingClones(gitUrl, PROJECTS_DIR, config, options);
+  }
 
-    if (action === 'existing') {
-      const { folderName } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'folderName',
-          message: 'Select an existing folder:',
-          choices: existingFolders,
-        },
-      ]);
-      targetFolder = folderName;
-      isExistingFolder = true;
-    } else {
-      // Ask where to create the new folder
-      const { parentLocation } = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'parentLocation',
-          message: 'Where would you like to create the new folder?',
-          choices: [
-            { name: '📁 Projects root directory', value: 'root' },
-            ...existingFolders.map(folder => ({ 
-              name: `📂 ${folder}/`, 
-              value: folder,
-              short: `Inside ${folder}`
-            })),
-          ],
-        },
-      ]);
-
-      // Ask for the folder name
-      const { folderName } = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'folderName',
-          message: 'Enter folder name for the cloned repository:',
-          default: defaultRepoName,
-          validate: (input) => {
-            if (!input || input.trim() === '') {
-              return 'Folder name cannot be empty';
-            }
-            if (input.includes('/') || input.includes('\\')) {
-              return 'Folder name cannot contain slashes';
-            }
-            
-            // Check if folder already exists in the chosen location
-            let checkPath;
-            if (parentLocation === 'root') {
-              checkPath = path.join(PROJECTS_DIR, input.trim());
-            } else {
-              checkPath = path.join(PROJECTS_DIR, parentLocation, input.trim());
-            }
-            
-            if (fs.existsSync(checkPath)) {
-              const locationText = parentLocation === 'root' ? 'Projects root' : `"${parentLocation}"`;
-              return `Folder "${input.trim()}" already exists in ${locationText}. Choose a different name.`;
-            }
-            
-            return true;
-          },
-        },
-      ]);
-      
-      if (parentLocation === 'root') {
-        targetFolder = folderName.trim();
-      } else {
-        // Store parent folder and new folder name separately
-        targetFolder = path.join(parentLocation, folderName.trim());
-        isExistingFolder = true; // Treat as nested folder
-      }
+  const defaultRepoName = extractRepoName(gitUrl, urlOptions) || 'repository';
+
+  // Determine target directory: explicit flags, then layout rules, then interactively
+  let targetDir;
+  const layoutPath = options.dest ? null : resolveLayoutPath(gitUrl, config, options.name);
+
+  if (options.name) {
+    const valid = validateFolderName(options.name);
+    if (valid !== true) {
+      error(`Invalid --name: ${valid}`, EXIT_CODES.DESTINATION);
     }
   }
 
-  // Determine target directory based on the scenario
-  let targetDir;
-  
-  if (isExistingFolder) {
-    // Check if targetFolder contains a path separator (nested new folder)
-    if (targetFolder.includes(path.sep)) {
-      // Creating a new folder inside an existing folder
-      // targetFolder format: "parent/newfolder"
-      targetDir = path.join(PROJECTS_DIR, targetFolder);
-      
-      // Check if folder already exists and has content
-      if (fs.existsSync(targetDir)) {
-        const contents = fs.readdirSync(targetDir);
-        if (contents.length > 0) {
-          const { overwrite } = await inquirer.prompt([
-            {
-              type: 'confirm',
-              name: 'overwrite',
-              message: `Folder "${targetFolder}" already exists and is not empty. Continue anyway?`,
-              default: false,
-            },
-          ]);
-          if (!overwrite) {
-            log('Operation cancelled.', 'info');
-            process.exit(0);
-          }
-        }
-      }
-    } else {
-      // Using an existing folder - clone repo into a subfolder with repo name
-      const parentDir = path.join(PROJECTS_DIR, targetFolder);
-      const repoSubfolder = path.join(parentDir, defaultRepoName);
-      
-      // Check if the subfolder already exists
-      if (fs.existsSync(repoSubfolder)) {
-        const contents = fs.readdirSync(repoSubfolder);
-        if (contents.length > 0) {
-          const { overwrite } = await inquirer.prompt([
-            {
-              type: 'confirm',
-              name: 'overwrite',
-              message: `Repository folder "${defaultRepoName}" already exists in "${targetFolder}". Continue anyway?`,
-              default: false,
-            },
-          ]);
-          if (!overwrite) {
-            log('Operation cancelled.', 'info');
-            process.exit(0);
-          }
-        }
+  const useLayout = layoutPath && (!isInteractive() || await confirm(`Clone into "${layoutPath}"?`, true, options));
+  if (useLayout || options.dest || options.name) {
+    try {
+      // A declined layout leaves --name alone to name a folder in the projects directory
+      targetDir = resolveDestination(gitUrl, {
+        projectsDir: PROJECTS_DIR,
+        config,
+        dest: useLayout ? null : options.dest || '.',
+        name: options.name,
+      });
+    } catch (err) {
+      if (!(err instanceof DestinationError)) {
+        throw err;
       }
-      targetDir = repoSubfolder;
+      error(err.message, EXIT_CODES.DESTINATION);
     }
   } else {
-    // Create new folder in root - clone directly into it
-    targetDir = path.join(PROJECTS_DIR, targetFolder);
-    
-    // Check if folder already exists and has content
-    if (fs.existsSync(targetDir)) {
-      const contents = fs.readdirSync(targetDir);
-      if (contents.length > 0) {
-        const { overwrite } = await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'overwrite',
-            message: `Folder "${targetFolder}" already exists and is not empty. Continue anyway?`,
-            default: false,
-          },
-        ]);
-        if (!overwrite) {
-          log('Operation cancelled.', 'info');
-          process.exit(0);
-        }
-      }
+    if (!isInteractive()) {
+      error('Cannot prompt for a destination because stdin is not a TTY. Pass --dest and/or --name.', EXIT_CODES.NEEDS_INPUT);
     }
+    targetDir = await promptDestination(PROJECTS_DIR, defaultRepoName, config, { template: options.template });
   }
 
   // Validate path is within PROJECTS_DIR (path traversal protection)
   const validatedPath = validatePathWithinProjectsDir(targetDir, PROJECTS_DIR);
   if (!validatedPath) {
-    error('Invalid path: target directory is outside Projects folder. This is not allowed.');
+    error('Invalid path: target directory is outside Projects folder. This is not allowed.', EXIT_CODES.DESTINATION);
   }
   targetDir = validatedPath;
+  cloneReport.path = targetDir;
 
-  // Final check if folder already exists and has content (race condition protection)
-  if (fs.existsSync(targetDir)) {
-    const contents = fs.readdirSync(targetDir);
-    if (contents.length > 0) {
-      const { overwrite } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'overwrite',
-          message: `Folder "${path.relative(PROJECTS_DIR, targetDir)}" already exists and is not empty. Continue anyway?`,
-          default: false,
-        },
-      ]);
-      if (!overwrite) {
-        log('Operation cancelled.', 'info');
-        process.exit(0);
+  // Final check if folder already exists and has content (race condition protection).
+  // git can't clone into it, so there is nothing to confirm.
+  if (fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0) {
+    error(`Folder "${path.relative(PROJECTS_DIR, targetDir)}" already exists and is not empty.`, EXIT_CODES.DESTINATION);
+  }
+
+  // Clone the repository
+  // Only the latest commit of a template is needed
+  const cloneOptions = resolveCloneOptions(gitUrl, config, options.template ? { depth: 1, ...options.clone } : options.clone);
+  log(`Clone options: ${JSON.stringify(cloneOptions)}`, 'debug');
+  if (cloneOptions.identity) {
+    log(`Cloning as ${describeIdentity(cloneOptions.identity)}`, 'info');
+  }
+  cloneReport.identity = cloneOptions.identity || null;
+  if (options.template) {
+    try {
+      checkGitIdentity(PROJECTS_DIR, identityGitConfig(cloneOptions.identity));
+    } catch (err) {
+      if (!(err instanceof TemplateError)) {
+        throw err;
       }
+      error(err.message, EXIT_CODES.GIT);
     }
   }
+  const result = await cloneRepository(gitUrl, targetDir, PROJECTS_DIR, {
+    clone: cloneOptions,
+    template: options.template,
+    // The new project is made before the clone is moved into place, so a failure leaves nothing behind
+    beforeCommit: options.template ? dir => startFromTemplate(dir, path.basename(targetDir), gitUrl, cloneOptions, options) : undefined,
+  });
+  if (!result.ok) {
+    exitWith(EXIT_CODES.GIT, result.message);
+  }
+  const clonedPath = targetDir;
 
-  // Clone the repository
-  const clonedPath = cloneRepository(gitUrl, targetDir, PROJECTS_DIR);
+  if (options.template) {
+    reportTemplate(path.basename(targetDir), result.prepared, options);
+  }
+  cloneReport.branch = getCurrentBranch(clonedPath);
+
+  if (fork.upstream) {
+    setupUpstream(clonedPath, fork.upstream, config, options);
+  }
   
-  // If clone was successful, ask if user wants to open in Cursor
-  if (clonedPath) {
-    const shouldOpen = await promptOpenInCursor(clonedPath);
+  await runPostCloneSteps(clonedPath, gitUrl, config, options);
+
+  // If clone was successful, ask if user wants to open it in the editor.
+  // "--open none" is the same as --no-open.
+  const requested = options.editor ? String(options.editor).trim() : null;
+  const editor = options.open && requested !== NO_EDITOR ? resolveEditor(requested || config.editor) : null;
+
+  if (requested === TERMINAL_EDITOR && !editor) {
+    log(`Cannot open with "${requested}": $VISUAL and $EDITOR are not set`, 'warning');
+  } else if (editor) {
+    // --open and --yes open without asking; without a TTY there is nobody to ask
+    let shouldOpen = Boolean(options.editor) || options.yes;
+    if (!shouldOpen && isInteractive()) {
+      shouldOpen = await promptOpenInEditor(clonedPath, editor.name);
+    }
     
     if (shouldOpen) {
-      await openInCursor(clonedPath);
+      openInEditor(clonedPath, editor);
     } else {
-      const projectName = path.basename(clonedPath);
-      log(`You can open it later with: cursor "${clonedPath}"`, 'info');
+      log(`You can open it later with: ${formatEditorCommand(editor, clonedPath)}`, 'info');
     }
   }
+
+  if (output.json) {
+    printJson({ ...finishReport(cloneReport), status: 'cloned', error: null, exitCode: 0 });
+  }
 }
 
-// Run the main function
-main().catch((err) => {
-  error(`Unexpected error: ${err.message}`);
-});
+// Replaces the history of a fresh clone in `dir` with a new repository for
+// the project `name`, see lib/template.js
+function startFromTemplate(dir, name, url, cloneOptions, options) {
+  try {
+    return createFromTemplate(dir, {
+      values: options.placeholders ? { name } : null,
+      message: `Initial commit from ${url}`,
+      gitConfig: identityGitConfig(cloneOptions.identity),
+      origin: options.origin,
+    });
+  } catch (err) {
+    throw new TemplateError(`Could not start a new project from the template: ${err.message}`);
+  }
+}
+
+function reportTemplate(name, created, options) {
+  const filled = created.files + created.renamed;
+  success(`✓ Started ${name} with a new history (commit ${created.commit})${filled > 0 ? `, filled in {{name}} in ${filled} ${filled === 1 ? 'place' : 'places'}` : ''}`);
+  if (options.origin) {
+    log(`Added origin: ${options.origin}`, 'info');
+  }
+  cloneReport.template = { commit: created.commit, files: created.files, renamed: created.renamed, origin: options.origin || null };
+}
+
+// Only run when executed, not when required
+if (require.main === module) {
+  main().catch((err) => {
+    if (err instanceof ConfigError) {
+      error(formatConfigError(err), EXIT_CODES.CONFIG);
+    }
+    if (err instanceof DestinationError) {
+      error(err.message, EXIT_CODES.DESTINATION);
+    }
+    if (err instanceof ForgeError) {
+      error(err.message, EXIT_CODES.FORGE);
+    }
+    error(`Unexpected error: ${err.message}`);
+  });
+}
@@ -0,0 +1,95 @@
+// Programmatic API. Nothing here prompts, prints or exits: results are
+// returned and failures are thrown as CloneError, ConfigError,
+// DestinationError or ForgeError.
+
+const fs = require('fs');
+const path = require('path');
+const { CloneError, checkGitInstalled, cloneTransactional, getCurrentBranch, resolveCloneOptions } = require('./lib/clone');
+const { ConfigError, getConfigPath } = require('./lib/config');
+const { DestinationError, resolveDestination } = require('./lib/destination');
+const { ForgeError } = require('./lib/forge');
+const { normalizeGitUrl, parseGitUrl } = require('./lib/git-url');
+const { convertUrl, resolveProtocol } = require('./lib/identity');
+const { recordCloneResult } = require('./lib/history');
+const { loadConfig } = require('./lib/workspace');
+
+// Clones `url` the way the CLI does with --dest/--name/--yes: into `dest`
+// (relative to the projects directory), else where the layout puts it, else
+// straight into the projects directory.
+//
+// Options:
+//   url          git URL or shorthand such as "gh:owner/repo" (required)
+//   dest, name   parent folder and folder name, as with --dest and --name
+//   workspace    workspace to clone into (default: the default workspace)
+//   projectsDir  clone here instead of a configured workspace
+//   config       settings to use with projectsDir (layout, rules, clone, ...)
+//   clone        clone options such as { branch, depth, sparse }
+//   protocol     "ssh" or "https" to convert the URL to (default: from the config)
+//   history      record the clone in the clone history (default: true)
+//   onProgress, onOutput, onRetry  progress callbacks, see lib/clone.js
+//
+// Resolves to { url, path, branch, attempts }.
+async function cloneInto(options = {}) {
+  if (!options.url) {
+    throw new TypeError('cloneInto needs a url');
+  }
+
+  const { config, projectsDir } = options.projectsDir
+    ? { config: options.config || {}, projectsDir: path.resolve(options.projectsDir) }
+    : loadConfig({ workspace: options.workspace, cwd: options.cwd });
+  if (!projectsDir) {
+    throw new ConfigError('No projects directory configured. Run git-clone-select --set-config <path> or pass projectsDir.');
+  }
+  if (!fs.existsSync(projectsDir)) {
+    throw new DestinationError(`Projects directory ${projectsDir} does not exist`);
+  }
+
+  const parsed = parseGitUrl(options.url, { defaultHost: config.defaultHost });
+  if (!parsed) {
+    throw new CloneError(`"${options.url}" is not a valid git URL`);
+  }
+
+  const url = convertUrl(parsed.url, resolveProtocol(parsed.url, config, options.protocol), { defaultHost: config.defaultHost });
+  const targetDir = resolveDestination(url, { projectsDir, config, dest: options.dest, name: options.name });
+  if (fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0) {
+    throw new DestinationError(`${targetDir} already exists and is not empty`);
+  }
+  if (!checkGitInstalled()) {
+    throw new CloneError('Git is not installed or not found in PATH');
+  }
+
+  const cloneOptions = resolveCloneOptions(url, config, options.clone);
+  const result = await cloneTransactional(url, targetDir, projectsDir, {
+    clone: cloneOptions,
+    progress: Boolean(options.onProgress),
+    onProgress: options.onProgress,
+    onOutput: options.onOutput,
+    onRetry: options.onRetry,
+  });
+  const branch = result.ok ? getCurrentBranch(targetDir) : null;
+
+  if (options.history !== false) {
+    try {
+      recordCloneResult(getConfigPath().historyFile, url, targetDir, result, { branch: result.ok ? branch : cloneOptions.branch });
+    } catch (err) {
+      // The clone itself is what matters; a history that can't be written isn't a failure
+    }
+  }
+
+  if (!result.ok) {
+    throw new CloneError(result.message, result);
+  }
+  return { url, path: targetDir, branch, attempts: result.attempts };
+}
+
+module.exports = {
+  CloneError,
+  ConfigError,
+  DestinationError,
+  ForgeError,
+  cloneInto,
+  loadConfig,
+  normalizeGitUrl,
+  parseGitUrl,
+  resolveDestination,
+};
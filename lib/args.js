@@ -0,0 +1,275 @@
+// Command line parsing from a declarative spec, shared by every command.
+//
+// A spec looks like:
+//   {
+//     name: 'status',
+//     usage: 'status [options]',
+//     summary: 'One line for the command list',
+//     positionals: [{ key: 'path', name: '<repo-path>', complete: 'folders' }],
+//                                      // positionals take choices and parse too
+//     passthrough: 'clone.args',       // where arguments after "--" go
+//     defaults: () => ({ ... }),
+//     options: [{
+//       flags: ['-w', '--workspace'],  // short and/or long forms
+//       value: '<name>',               // omitted for switches
+//       key: 'workspace',              // dotted paths such as 'clone.depth' work
+//       set: false,                    // value a switch sets (default true)
+//       parse: positiveInteger,        // turns the text into the value, or throws
+//       choices: ['tar', 'mirror'],    // allowed values, also used for completion
+//       optional: true,                // the value may be left out (needs choices)
+//       repeat: true,                  // values add up in a list
+//       complete: 'folders',           // what to offer when completing the value
+//       description: 'Shown in --help',
+//     }],
+//     examples: ['git-clone-select status --dirty'],
+//   }
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const HELP_OPTION = { flags: ['-h', '--help'], key: 'help', description: 'Show this help' };
+
+function positiveInteger(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`${flag} expects a positive number`);
+  }
+  return number;
+}
+
+// "a,b" and repeated flags both give a list
+function list(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+// The candidate closest to `input`, if any is close enough to be a typo
+function suggest(input, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(input, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best && bestDistance <= Math.max(2, Math.floor(input.length / 4)) ? best : null;
+}
+
+function allOptions(spec) {
+  return [...(spec.options || []), HELP_OPTION];
+}
+
+function findOption(spec, flag) {
+  return allOptions(spec).find(option => option.flags.includes(flag)) || null;
+}
+
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((object, part) => {
+    if (!object[part] || typeof object[part] !== 'object') {
+      object[part] = {};
+    }
+    return object[part];
+  }, target);
+  parent[last] = value;
+}
+
+function getPath(target, key) {
+  return key.split('.').reduce((object, part) => (object ? object[part] : undefined), target);
+}
+
+// Negative numbers are values, not flags
+function looksLikeFlag(arg) {
+  return arg.length > 1 && arg.startsWith('-') && !/^-\d/.test(arg);
+}
+
+// "-yj4" is "-y -j 4" and "-j4" is "-j 4" when every letter up to the value
+// is a short flag of the command
+function expandShortFlags(arg, spec) {
+  if (!/^-[A-Za-z]./.test(arg)) {
+    return [arg];
+  }
+  const expanded = [];
+  for (let i = 1; i < arg.length; i++) {
+    const option = findOption(spec, `-${arg[i]}`);
+    if (!option) {
+      return [arg];
+    }
+    expanded.push(`-${arg[i]}`);
+    if (option.value) {
+      if (i + 1 < arg.length) {
+        expanded.push(arg.slice(i + 1));
+      }
+      break;
+    }
+  }
+  return expanded;
+}
+
+function unknownOption(flag, spec) {
+  const flags = allOptions(spec).reduce((all, option) => all.concat(option.flags), []);
+  const match = suggest(flag, flags.filter(candidate => candidate.startsWith('--')));
+  const command = spec.name ? ` for ${spec.name}` : '';
+  return new UsageError(`Unknown option${command}: ${flag}${match ? `. Did you mean ${match}?` : ''}`);
+}
+
+// Parses `args` against `spec` and returns the options object: the spec's
+// defaults, filled in from flags and positionals. `help` is true when -h or
+// --help was given. Throws UsageError for anything that doesn't fit.
+function parseArgs(args, spec) {
+  const options = spec.defaults ? spec.defaults() : {};
+  const positionals = spec.positionals || [];
+  let position = 0;
+
+  const addPositional = (value) => {
+    const positional = positionals[Math.min(position, positionals.length - 1)];
+    if (!positional || (position >= positionals.length && !positional.variadic)) {
+      throw new UsageError(`Unexpected argument: ${value}`);
+    }
+    if (positional.choices && !positional.choices.includes(value)) {
+      const match = suggest(value, positional.choices);
+      throw new UsageError(`${positional.name} expects one of: ${positional.choices.join(', ')}${match ? `. Did you mean ${match}?` : ''}`);
+    }
+    const parsed = positional.parse ? positional.parse(value, spec.name || positional.name) : value;
+    if (positional.variadic) {
+      setPath(options, positional.key, (getPath(options, positional.key) || []).concat(parsed));
+    } else {
+      setPath(options, positional.key, parsed);
+    }
+    position++;
+  };
+
+  const queue = [...args];
+  for (let i = 0; i < queue.length; i++) {
+    queue.splice(i, 1, ...expandShortFlags(queue[i], spec));
+    let arg = queue[i];
+
+    if (arg === '--') {
+      if (!spec.passthrough) {
+        queue.slice(i + 1).forEach(addPositional);
+        break;
+      }
+      // Everything after "--" is passed on as-is
+      setPath(options, spec.passthrough, queue.slice(i + 1));
+      break;
+    }
+    if (!looksLikeFlag(arg)) {
+      addPositional(arg);
+      continue;
+    }
+
+    // Accept both "--flag value" and "--flag=value"
+    let inlineValue = null;
+    if (arg.startsWith('--') && arg.includes('=')) {
+      inlineValue = arg.slice(arg.indexOf('=') + 1);
+      arg = arg.slice(0, arg.indexOf('='));
+    }
+
+    const option = findOption(spec, arg);
+    if (!option) {
+      throw unknownOption(arg, spec);
+    }
+
+    if (!option.value) {
+      if (inlineValue !== null) {
+        throw new UsageError(`${arg} does not take a value`);
+      }
+      setPath(options, option.key, option.set === undefined ? true : option.set);
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === null) {
+      const next = queue[i + 1];
+      if (option.optional) {
+        // Only take the next argument when it's one of the choices
+        value = option.choices.includes(next) ? queue[++i] : option.choices[0];
+      } else {
+        if (next === undefined || looksLikeFlag(next)) {
+          throw new UsageError(`Missing value for ${arg}`);
+        }
+        value = queue[++i];
+      }
+    }
+    if (value === '') {
+      throw new UsageError(`Missing value for ${arg}`);
+    }
+
+    if (option.choices && !option.choices.includes(value)) {
+      const match = suggest(value, option.choices);
+      throw new UsageError(`${arg} expects one of: ${option.choices.join(', ')}${match ? `. Did you mean ${match}?` : ''}`);
+    }
+    const parsed = option.parse ? option.parse(value, arg) : value;
+    if (option.repeat) {
+      setPath(options, option.key, (getPath(options, option.key) || []).concat(parsed));
+    } else {
+      setPath(options, option.key, parsed);
+    }
+  }
+
+  return options;
+}
+
+function formatFlags(option) {
+  const short = option.flags.find(flag => !flag.startsWith('--'));
+  const long = option.flags.find(flag => flag.startsWith('--'));
+  const names = short ? `${short}, ${long || ''}` : `    ${long}`;
+  return option.value ? `${names} ${option.value}` : names;
+}
+
+// The option list of a spec, one option per line, descriptions aligned
+function formatOptions(options, indent = '  ') {
+  const width = Math.max(24, ...options.map(option => formatFlags(option).length + 2));
+  return options.map((option) => {
+    const flags = formatFlags(option);
+    return `${indent}${flags.padEnd(width)}${option.description || ''}`;
+  }).join('\n');
+}
+
+// --help for one command
+function formatHelp(spec, program) {
+  const lines = [`Usage: ${program} ${spec.usage}`];
+  if (spec.summary) {
+    lines.push('', spec.summary);
+  }
+  if (spec.details) {
+    lines.push('', spec.details);
+  }
+  lines.push('', 'Options:', formatOptions(allOptions(spec)));
+  if (spec.examples && spec.examples.length > 0) {
+    lines.push('', 'Examples:', ...spec.examples.map(example => `  ${example}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  UsageError,
+  allOptions,
+  findOption,
+  formatHelp,
+  formatOptions,
+  list,
+  parseArgs,
+  positiveInteger,
+  suggest,
+};
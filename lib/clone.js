@@ -0,0 +1,360 @@
+const { execSync, spawn, spawnSync } = require('child_process');
+const { parseGitUrl } = require('./git-url');
+const { findMatchingRules } = require('./destination');
+const { applySshHost, identityGitConfig, resolveIdentity } = require('./identity');
+const { commitClone, discardClone, prepareClone } = require('./staging');
+
+class CloneError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CloneError';
+    this.output = details.output || '';
+    this.attempts = details.attempts || 0;
+    this.cleanup = details.cleanup || null;
+  }
+}
+
+const DEFAULT_JOBS = 4;
+const CLONE_RETRIES = 2;
+const RETRY_DELAY_MS = 2000;
+
+// Clones in progress and the git processes running them, so an interrupted
+// run can stop them and remove what they created
+const activeClones = new Map();
+const gitProcesses = new Set();
+let cancelling = false;
+
+// stderr patterns that indicate a network hiccup worth retrying
+const TRANSIENT_ERRORS = [
+  /could not resolve host/i,
+  /connection (timed out|reset|refused)/i,
+  /operation timed out/i,
+  /the remote end hung up unexpectedly/i,
+  /early eof/i,
+  /rpc failed/i,
+  /gnutls|ssl_read|tls connection/i,
+  /returned error: 50[234]/i,
+];
+
+function isTransientFailure(output) {
+  return TRANSIENT_ERRORS.some(pattern => pattern.test(output));
+}
+
+function parseCloneProgress(line) {
+  // e.g. "Receiving objects:  45% (450/1000), 1.20 MiB | 2.00 MiB/s"
+  const match = line.match(/^(?:remote: )?([A-Za-z][A-Za-z ]+):\s+(\d+)%/);
+  return match ? { phase: match[1], percent: Number(match[2]) } : null;
+}
+
+// Merge clone settings: config "clone" < matching rules (first rule wins) < command line.
+// The identity for the URL comes along, see lib/identity.js.
+function resolveCloneOptions(url, config, overrides = {}) {
+  const parsed = parseGitUrl(url, { defaultHost: config.defaultHost });
+  const ruleDefaults = parsed && parsed.host
+    ? findMatchingRules(parsed, config).filter(rule => rule.clone).map(rule => rule.clone).reverse()
+    : [];
+  const layers = [config.clone || {}, ...ruleDefaults, overrides];
+  const merged = Object.assign({}, ...layers);
+
+  // Extra git arguments add up instead of replacing each other
+  merged.args = layers.reduce((args, layer) => args.concat(layer.args || []), []);
+
+  const identity = resolveIdentity(url, config);
+  if (identity) {
+    merged.identity = identity;
+  }
+  return merged;
+}
+
+function buildCloneArgs(cloneOptions) {
+  const args = [];
+
+  if (cloneOptions.branch) {
+    args.push('--branch', String(cloneOptions.branch));
+  }
+  if (cloneOptions.depth !== undefined && cloneOptions.depth !== null) {
+    const depth = Number(cloneOptions.depth);
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new Error(`Invalid clone depth: ${cloneOptions.depth}`);
+    }
+    args.push('--depth', String(depth));
+  }
+  if (cloneOptions.singleBranch) {
+    args.push('--single-branch');
+  }
+  if (cloneOptions.recurseSubmodules) {
+    args.push('--recurse-submodules');
+  }
+  if (cloneOptions.filter) {
+    args.push(`--filter=${cloneOptions.filter}`);
+  }
+  if (Array.isArray(cloneOptions.sparse) && cloneOptions.sparse.length > 0) {
+    const invalid = cloneOptions.sparse.find(entry => typeof entry !== 'string' || entry.startsWith('-'));
+    if (invalid !== undefined) {
+      throw new Error(`Invalid sparse-checkout path: ${invalid}`);
+    }
+    args.push('--sparse');
+  }
+  // Written into the clone's config, and already used while cloning
+  identityGitConfig(cloneOptions.identity).forEach(([key, value]) => {
+    args.push('-c', `${key}=${value}`);
+  });
+  if (Array.isArray(cloneOptions.args)) {
+    args.push(...cloneOptions.args.map(String));
+  }
+
+  return args;
+}
+
+function applySparseCheckout(targetDir, paths) {
+  const result = spawnSync('git', ['sparse-checkout', 'set', ...paths], {
+    cwd: targetDir,
+    encoding: 'utf8',
+  });
+  if (result.error) {
+    return { ok: false, message: result.error.message };
+  }
+  if (result.status !== 0) {
+    return { ok: false, message: (result.stderr || '').trim() || `git sparse-checkout failed with exit code ${result.status}` };
+  }
+  return { ok: true };
+}
+
+function runGitClone(url, targetDir, projectsDir, options = {}) {
+  return new Promise((resolve) => {
+    // Use spawn with array arguments to prevent command injection
+    const gitArgs = ['clone'];
+    if (options.progress !== false) {
+      gitArgs.push('--progress');
+    }
+    try {
+      gitArgs.push(...buildCloneArgs(options.clone || {}));
+    } catch (err) {
+      resolve({ ok: false, output: '', message: err.message });
+      return;
+    }
+    const identity = (options.clone && options.clone.identity) || {};
+    const remote = applySshHost(url, identity.sshHost);
+    remote.gitConfig.forEach(([key, value]) => {
+      gitArgs.push('-c', `${key}=${value}`);
+    });
+    // "--" keeps a URL that starts with "-" from being read as an option
+    gitArgs.push('--', remote.url, targetDir);
+    if (options.onCommand) {
+      options.onCommand(gitArgs);
+    }
+
+    const child = spawn('git', gitArgs, {
+      cwd: projectsDir,
+      stdio: [options.onOutput ? 'inherit' : 'ignore', 'pipe', 'pipe'],
+    });
+    gitProcesses.add(child);
+
+    let output = '';
+    let pending = '';
+
+    child.stdout.on('data', (chunk) => {
+      if (options.onOutput) {
+        options.onOutput(chunk, 'stdout');
+      }
+    });
+
+    child.stderr.on('data', (chunk) => {
+      if (options.onOutput) {
+        options.onOutput(chunk, 'stderr');
+      }
+
+      // Progress lines are terminated by \r, everything else by \n
+      const lines = (pending + chunk.toString()).split(/[\r\n]/);
+      pending = lines.pop();
+      for (const line of lines) {
+        const progress = parseCloneProgress(line);
+        if (progress) {
+          if (options.onProgress) {
+            options.onProgress(progress);
+          }
+        } else if (line.trim() !== '') {
+          output += `${line}\n`;
+        }
+      }
+    });
+
+    child.on('error', (err) => {
+      gitProcesses.delete(child);
+      resolve({ ok: false, output, message: err.message });
+    });
+
+    child.on('close', (code) => {
+      gitProcesses.delete(child);
+      output += pending;
+      if (code === 0) {
+        resolve({ ok: true, output });
+        return;
+      }
+      const fatal = output.split('\n').reverse().find(line => /^(fatal|error):/.test(line));
+      resolve({
+        ok: false,
+        output,
+        message: fatal || `Git clone failed with exit code ${code}`,
+      });
+    });
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function cloneWithRetries(url, targetDir, projectsDir, options = {}) {
+  const retries = options.retries === undefined ? CLONE_RETRIES : options.retries;
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await runGitClone(url, targetDir, projectsDir, options);
+    result.attempts = attempt;
+
+    const sparse = options.clone && options.clone.sparse;
+    if (result.ok && Array.isArray(sparse) && sparse.length > 0) {
+      const sparseResult = applySparseCheckout(targetDir, sparse);
+      if (!sparseResult.ok) {
+        return { ...result, ok: false, message: `Cloned, but sparse-checkout failed: ${sparseResult.message}` };
+      }
+    }
+
+    if (result.ok || attempt > retries || !isTransientFailure(result.output)) {
+      return result;
+    }
+
+    const delay = RETRY_DELAY_MS * attempt;
+    if (options.onRetry) {
+      options.onRetry(attempt, delay, result.message);
+    }
+    await sleep(delay);
+  }
+}
+
+// Clones into a temporary folder next to `targetDir` and moves the clone into
+// place once it succeeded. `options.beforeCommit(dir)` can work on the clone
+// first; what it returns is the result's `prepared`, and when it throws the
+// clone fails. When it fails, the folders it created are removed again and
+// the result has a `cleanup` as returned by discardClone.
+async function cloneTransactional(url, targetDir, projectsDir, options = {}) {
+  let staging;
+  try {
+    staging = prepareClone(targetDir);
+  } catch (err) {
+    return { ok: false, output: '', message: err.message, attempts: 0 };
+  }
+
+  activeClones.set(staging, projectsDir);
+  // Git says "Cloning into '<temporary folder>'"; show where the clone will be
+  const onOutput = options.onOutput && ((chunk, stream) => options.onOutput(
+    chunk.includes(staging.tempDir) ? chunk.toString().split(staging.tempDir).join(targetDir) : chunk,
+    stream,
+  ));
+  let result = await cloneWithRetries(url, staging.tempDir, projectsDir, { ...options, onOutput });
+  if (cancelling) {
+    // cancelActiveClones cleans up; whoever called it exits
+    await new Promise(() => {});
+  }
+
+  if (result.ok && options.beforeCommit) {
+    try {
+      result.prepared = options.beforeCommit(staging.tempDir);
+    } catch (err) {
+      result = { ...result, ok: false, message: err.message };
+    }
+  }
+  if (result.ok) {
+    try {
+      commitClone(staging);
+    } catch (err) {
+      result = { ...result, ok: false, message: `Cloned, but could not move it into place: ${err.message}` };
+    }
+  }
+  if (!result.ok) {
+    result.cleanup = discardClone(staging);
+  }
+  activeClones.delete(staging);
+  return result;
+}
+
+function stopProcess(child) {
+  return new Promise((resolve) => {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+    child.on('close', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    // git removes what it wrote itself when interrupted
+    child.kill('SIGINT');
+  });
+}
+
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+function getCurrentBranch(repoDir) {
+  const result = spawnSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], {
+    cwd: repoDir,
+    encoding: 'utf8',
+  });
+  return result.status === 0 ? result.stdout.trim() : null;
+}
+
+function checkGitInstalled() {
+  try {
+    execSync('git --version', { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Stops every clone in progress and removes what they created. Clones that
+// are stopped this way never resolve; the caller is expected to exit.
+// Returns { projectsDir, cleanups } with a discardClone result per clone.
+async function cancelActiveClones() {
+  cancelling = true;
+  const clones = [...activeClones.keys()];
+  const projectsDir = clones.length > 0 ? activeClones.get(clones[0]) : null;
+  await Promise.all([...gitProcesses].map(stopProcess));
+  return { projectsDir, cleanups: clones.map(discardClone) };
+}
+
+function hasActiveClones() {
+  return activeClones.size > 0;
+}
+
+module.exports = {
+  CLONE_RETRIES,
+  CloneError,
+  DEFAULT_JOBS,
+  buildCloneArgs,
+  cancelActiveClones,
+  checkGitInstalled,
+  cloneTransactional,
+  cloneWithRetries,
+  getCurrentBranch,
+  hasActiveClones,
+  isTransientFailure,
+  parseCloneProgress,
+  resolveCloneOptions,
+  runGitClone,
+  runWithConcurrency,
+};
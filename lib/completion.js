@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { allOptions, findOption } = require('./args');
+
+const PROGRAM = 'git-clone-select';
+const SHELLS = ['bash', 'zsh', 'fish'];
+
+// The scripts only pass the words on the command line to the hidden
+// "__complete" command and print what it answers, so completion follows the
+// same command specs as parsing does
+const SCRIPTS = {
+  bash: `# bash completion for ${PROGRAM}
+_git_clone_select() {
+  local IFS=$'\\n'
+  COMPREPLY=($(${PROGRAM} __complete "\${COMP_WORDS[@]:0:COMP_CWORD+1}" 2>/dev/null))
+  # Folders get a trailing slash so completion can continue into them
+  if [[ \${#COMPREPLY[@]} -eq 1 && \${COMPREPLY[0]} == */ ]]; then
+    compopt -o nospace
+  fi
+}
+complete -F _git_clone_select ${PROGRAM}
+`,
+  zsh: `#compdef ${PROGRAM}
+_git_clone_select() {
+  local -a candidates folders others
+  candidates=("\${(@f)$(${PROGRAM} __complete "\${(@)words[1,CURRENT]}" 2>/dev/null)}")
+  folders=(\${(M)candidates:#*/})
+  others=(\${candidates:#*/})
+  (( \${#folders} )) && compadd -Q -S '' -- "\${folders[@]}"
+  (( \${#others} )) && compadd -Q -- "\${others[@]}"
+}
+compdef _git_clone_select ${PROGRAM}
+`,
+  fish: `# fish completion for ${PROGRAM}
+complete -c ${PROGRAM} -f -a '(${PROGRAM} __complete (commandline -opc) (commandline -ct))'
+`,
+};
+
+function completionScript(shell) {
+  return SCRIPTS[shell] || null;
+}
+
+// Files and folders matching a partly typed path, relative to `base`.
+// Folders end in "/"; hidden entries only show once a "." is typed.
+function completePath(prefix, base, options = {}) {
+  const slash = prefix.lastIndexOf('/');
+  const dirPart = slash >= 0 ? prefix.slice(0, slash + 1) : '';
+  const namePart = prefix.slice(slash + 1);
+
+  let items;
+  try {
+    items = fs.readdirSync(path.resolve(base, dirPart || '.'), { withFileTypes: true });
+  } catch (err) {
+    return [];
+  }
+  return items
+    .filter(item => item.name.startsWith(namePart) && (namePart.startsWith('.') || !item.name.startsWith('.')))
+    .filter(item => !options.foldersOnly || item.isDirectory())
+    .map(item => `${dirPart}${item.name}${item.isDirectory() ? '/' : ''}`)
+    .sort();
+}
+
+// The option `flag` is, when the word after it is its value. Optional values
+// only are when they're one of the choices (or, while typing, the start of one).
+function valueOption(spec, flag, next, typing) {
+  if (!flag || !flag.startsWith('-') || flag.includes('=')) {
+    return null;
+  }
+  const option = findOption(spec, flag);
+  if (!option || !option.value) {
+    return null;
+  }
+  if (!option.optional) {
+    return option;
+  }
+  const matches = typing ? option.choices.some(choice => choice.startsWith(next)) : option.choices.includes(next);
+  return matches ? option : null;
+}
+
+// Completion candidates for the words on a command line, the first being the
+// program itself and the last the word being typed (possibly empty).
+// `commands` maps names to specs, `defaultCommand` is used when the first
+// argument isn't a command, and `providers` turn a `complete` kind (e.g.
+// "folders") into candidates: provider(prefix, words).
+function completeWords(words, commands, defaultCommand, providers = {}) {
+  const args = words.slice(1);
+  const current = args.length > 0 ? args[args.length - 1] : '';
+  const before = args.slice(0, -1);
+
+  const named = before.length > 0 && commands[before[0]];
+  const commandName = named ? before[0] : defaultCommand;
+  const spec = commands[commandName];
+  const rest = named ? before.slice(1) : before;
+
+  const provide = (kind, prefix) => {
+    if (kind === 'files') {
+      return completePath(prefix, process.cwd());
+    }
+    return providers[kind] ? providers[kind](prefix, words) : [];
+  };
+  const byPrefix = candidates => candidates.filter(candidate => candidate.startsWith(current));
+
+  // Nothing after "--" is ours to complete
+  if (rest.includes('--')) {
+    return [];
+  }
+
+  // --flag=<value>
+  if (current.startsWith('--') && current.includes('=')) {
+    const flag = current.slice(0, current.indexOf('='));
+    const option = findOption(spec, flag);
+    if (!option || !option.value) {
+      return [];
+    }
+    const prefix = current.slice(flag.length + 1);
+    const values = option.choices ? option.choices.filter(choice => choice.startsWith(prefix)) : provide(option.complete, prefix);
+    return values.map(value => `${flag}=${value}`);
+  }
+
+  // --flag <value>
+  const option = valueOption(spec, rest[rest.length - 1], current, true);
+  if (option) {
+    return option.choices ? byPrefix(option.choices) : provide(option.complete, current);
+  }
+
+  if (current.startsWith('-')) {
+    return byPrefix(allOptions(spec).reduce((flags, item) => flags.concat(item.flags.filter(flag => flag.startsWith('--'))), []));
+  }
+
+  // Positionals: count the ones already given, skipping flags and their values
+  let position = 0;
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith('-')) {
+      if (valueOption(spec, rest[i], rest[i + 1], false)) {
+        i++;
+      }
+    } else {
+      position++;
+    }
+  }
+
+  const candidates = [];
+  if (!named && before.length === 0) {
+    candidates.push(...byPrefix(Object.keys(commands).filter(name => !name.startsWith('_'))));
+  }
+  const positionals = spec.positionals || [];
+  const positional = positionals[Math.min(position, positionals.length - 1)];
+  if (positional && (position < positionals.length || positional.variadic)) {
+    if (positional.choices) {
+      candidates.push(...byPrefix(positional.choices));
+    } else if (positional.complete) {
+      candidates.push(...provide(positional.complete, current));
+    }
+  }
+  return candidates;
+}
+
+module.exports = {
+  SHELLS,
+  completePath,
+  completeWords,
+  completionScript,
+};
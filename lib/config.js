@@ -0,0 +1,483 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic } = require('./fs-util');
+
+const APP_NAME = 'git-clone-select';
+// Bump together with a new entry in MIGRATIONS
+const CONFIG_VERSION = 2;
+// Per-directory overrides, looked up from the current directory upwards
+const LOCAL_CONFIG_FILE = '.git-clone-select.json';
+
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const STRING_LIST = { type: 'array', items: STRING };
+
+const CLONE_SCHEMA = {
+  type: 'object',
+  properties: {
+    branch: STRING,
+    depth: { type: 'integer', minimum: 1 },
+    singleBranch: BOOLEAN,
+    recurseSubmodules: BOOLEAN,
+    filter: STRING,
+    sparse: STRING_LIST,
+    args: STRING_LIST,
+  },
+};
+
+// Which account to clone with, see lib/identity.js
+const IDENTITY_SCHEMA = {
+  type: 'object',
+  properties: {
+    sshHost: STRING,
+    sshKey: STRING,
+    sshCommand: STRING,
+    name: STRING,
+    email: STRING,
+  },
+};
+
+const PROTOCOL = { type: 'string', enum: ['ssh', 'https'] };
+
+const RULE_SCHEMA = {
+  type: 'object',
+  required: ['match'],
+  properties: {
+    match: STRING,
+    path: STRING,
+    hooks: STRING_LIST,
+    clone: CLONE_SCHEMA,
+    identity: IDENTITY_SCHEMA,
+    protocol: PROTOCOL,
+  },
+};
+
+const FORGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['github', 'gitlab', 'gitea'] },
+    apiUrl: STRING,
+    username: STRING,
+    token: STRING,
+    tokenEnv: STRING,
+    protocol: { type: 'string', enum: ['https', 'ssh'] },
+  },
+};
+
+// Settings that a workspace or a local override file can replace
+const WORKSPACE_PROPERTIES = {
+  projectsDir: STRING,
+  defaultHost: STRING,
+  layout: STRING,
+  rules: { type: 'array', items: RULE_SCHEMA },
+  hooks: STRING_LIST,
+  autoSetup: BOOLEAN,
+  clone: CLONE_SCHEMA,
+  identity: IDENTITY_SCHEMA,
+  protocol: PROTOCOL,
+  editor: STRING,
+  hideRepositories: BOOLEAN,
+  scanDepth: { type: 'integer', minimum: 0 },
+  // Keyed by host, or host:port
+  forges: { type: 'object', additionalProperties: FORGE_SCHEMA },
+  fork: {
+    type: 'object',
+    properties: {
+      remote: STRING,
+      trackUpstream: BOOLEAN,
+    },
+  },
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    version: { type: 'integer', minimum: 1 },
+    createdAt: STRING,
+    ...WORKSPACE_PROPERTIES,
+    defaultWorkspace: STRING,
+    workspaces: {
+      type: 'object',
+      additionalProperties: { type: 'object', required: ['projectsDir'], properties: WORKSPACE_PROPERTIES },
+    },
+  },
+};
+
+// A local file is picked up from whatever directory a command runs in, e.g. a
+// cloned repository, so it only gets settings that can't run commands: no
+// hooks, editor, identity (sshCommand) or extra git arguments
+const LOCAL_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    projectsDir: STRING,
+    defaultHost: STRING,
+    layout: STRING,
+    rules: {
+      type: 'array',
+      items: { type: 'object', required: ['match'], properties: { match: STRING, path: STRING } },
+    },
+    clone: {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(CLONE_SCHEMA.properties).filter(([name]) => name !== 'args')),
+    },
+  },
+};
+
+// Each entry upgrades a config from the previous version
+const MIGRATIONS = {
+  // v1 files predate the version field; their settings carry over unchanged
+  2: config => config,
+};
+
+function getConfigDir() {
+  const legacyDir = path.join(os.homedir(), '.config', APP_NAME);
+  const xdgConfigHome = process.env.XDG_CONFIG_HOME;
+  // Relative values are invalid per the XDG spec and are ignored
+  if (!xdgConfigHome || !path.isAbsolute(xdgConfigHome)) {
+    return legacyDir;
+  }
+  const configDir = path.join(xdgConfigHome, APP_NAME);
+  // Keep using a config that was created before XDG_CONFIG_HOME was set
+  if (!fs.existsSync(configDir) && fs.existsSync(legacyDir)) {
+    return legacyDir;
+  }
+  return configDir;
+}
+
+// The files kept in the config directory
+function getConfigPath() {
+  const configDir = getConfigDir();
+  return {
+    configDir,
+    configFile: path.join(configDir, 'config.json'),
+    historyFile: path.join(configDir, 'history.json'),
+    scanCacheFile: path.join(configDir, 'scan-cache.json'),
+  };
+}
+
+// Dotted names of the settings the schema describes, e.g. for completion
+function listSettingNames(schema = CONFIG_SCHEMA, prefix = '') {
+  return Object.entries(schema.properties || {}).reduce((names, [key, child]) => {
+    const name = `${prefix}${key}`;
+    return child.properties ? names.concat(listSettingNames(child, `${name}.`)) : names.concat(name);
+  }, []);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'a list' : `a ${typeof value}`;
+}
+
+const EXPECTED = {
+  string: 'a string',
+  boolean: 'true or false',
+  integer: 'a whole number',
+  array: 'a list',
+  object: 'an object',
+};
+
+function joinKey(parent, name) {
+  return parent ? `${parent}.${name}` : name;
+}
+
+function validateValue(schema, value, key, problems) {
+  const label = key || '(root)';
+
+  if (schema.type === 'string' && typeof value !== 'string' ||
+    schema.type === 'boolean' && typeof value !== 'boolean' ||
+    schema.type === 'integer' && !Number.isInteger(value) ||
+    schema.type === 'array' && !Array.isArray(value) ||
+    schema.type === 'object' && !isPlainObject(value)) {
+    problems.push(`${label}: expected ${EXPECTED[schema.type]}, got ${describeType(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${label}: must be one of ${schema.enum.join(', ')}`);
+  } else if (schema.type === 'integer' && schema.minimum !== undefined && value < schema.minimum) {
+    problems.push(`${label}: must be at least ${schema.minimum}`);
+  } else if (schema.type === 'array') {
+    value.forEach((item, index) => validateValue(schema.items, item, `${label}[${index}]`, problems));
+  } else if (schema.type === 'object') {
+    (schema.required || [])
+      .filter(name => value[name] === undefined)
+      .forEach(name => problems.push(`${joinKey(key, name)}: is required`));
+
+    Object.entries(value).forEach(([name, child]) => {
+      const childSchema = (schema.properties && schema.properties[name]) || schema.additionalProperties;
+      if (!childSchema) {
+        problems.push(`${joinKey(key, name)}: unknown setting`);
+      } else {
+        validateValue(childSchema, child, joinKey(key, name), problems);
+      }
+    });
+  }
+}
+
+// A list of human readable problems, empty when the config is valid
+function validateConfig(config, schema = CONFIG_SCHEMA) {
+  const problems = [];
+  validateValue(schema, config, '', problems);
+  return problems;
+}
+
+function migrateConfig(config) {
+  const from = config.version === undefined ? 1 : config.version;
+  if (!Number.isInteger(from) || from < 1) {
+    throw new ConfigError(`Unsupported config version "${config.version}"`);
+  }
+  if (from > CONFIG_VERSION) {
+    throw new ConfigError(`The config file was written by a newer version of ${APP_NAME} (config version ${from}). Upgrade ${APP_NAME} to use it.`);
+  }
+
+  let migrated = config;
+  for (let version = from + 1; version <= CONFIG_VERSION; version++) {
+    const { version: previous, ...settings } = MIGRATIONS[version](migrated);
+    migrated = { version, ...settings };
+  }
+  return { config: migrated, migrated: from !== CONFIG_VERSION };
+}
+
+// JSON.parse only reports an offset; a line and column is easier to find
+function describeJsonError(err, content) {
+  const match = err.message.match(/at position (\d+)/);
+  if (!match || /line \d+/.test(err.message)) {
+    return err.message;
+  }
+  const before = content.slice(0, Number(match[1])).split('\n');
+  return `${err.message} (line ${before.length} column ${before[before.length - 1].length + 1})`;
+}
+
+// The parsed object, or null when the file doesn't exist
+function readJsonFile(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw new ConfigError(`Could not read ${file}: ${err.message}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    throw new ConfigError(`${file} is not valid JSON: ${describeJsonError(err, content)}`);
+  }
+  if (!isPlainObject(data)) {
+    throw new ConfigError(`${file} must contain a JSON object, got ${describeType(data)}`);
+  }
+  return data;
+}
+
+// Reads the user config, upgrading files written by older versions in place
+// (the original is kept next to it as config.json.bak). Pass
+// `validate: false` to get at the settings of an invalid file, e.g. to fix it.
+function readConfigFile(configFile, options = {}) {
+  const data = readJsonFile(configFile);
+  if (!data) {
+    return {};
+  }
+
+  const { config, migrated } = migrateConfig(data);
+  if (options.validate !== false) {
+    const problems = validateConfig(config);
+    if (problems.length > 0) {
+      throw new ConfigError(`Invalid config file ${configFile}`, problems);
+    }
+  }
+
+  if (migrated) {
+    try {
+      fs.copyFileSync(configFile, `${configFile}.bak`);
+      writeFileAtomic(configFile, JSON.stringify(config, null, 2));
+    } catch (err) {
+      // The migration is repeated on the next read
+    }
+  }
+  return config;
+}
+
+function writeConfigFile(configFile, config) {
+  const { version, ...settings } = config;
+  const versioned = { version: CONFIG_VERSION, ...settings };
+  const problems = validateConfig(versioned);
+  if (problems.length > 0) {
+    throw new ConfigError('Refusing to save an invalid config', problems);
+  }
+  writeFileAtomic(configFile, JSON.stringify(versioned, null, 2));
+  return versioned;
+}
+
+function findLocalConfig(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const candidate = path.join(dir, LOCAL_CONFIG_FILE);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// The nearest .git-clone-select.json as { file, config }, or null. A relative
+// projectsDir is resolved against the directory of the file, and has to stay
+// within the home directory.
+function readLocalConfig(startDir) {
+  const file = findLocalConfig(startDir);
+  if (!file) {
+    return null;
+  }
+
+  const config = readJsonFile(file);
+  const problems = validateConfig(config, LOCAL_CONFIG_SCHEMA)
+    .map(problem => problem.replace(/^(\S+): unknown setting$/, (unknown, key) => (
+      schemaAt(key) ? `${key}: not allowed in ${LOCAL_CONFIG_FILE}, set it in the user config instead` : unknown
+    )));
+  if (typeof config.projectsDir === 'string') {
+    config.projectsDir = path.resolve(path.dirname(file), config.projectsDir.replace(/^~(?=$|[\\/])/, os.homedir()));
+    const relative = path.relative(os.homedir(), config.projectsDir);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      problems.push('projectsDir: must be within your home directory');
+    }
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid config file ${file}`, problems);
+  }
+  return { file, config };
+}
+
+// "rules[0].match" and "rules.0.match" both become ['rules', '0', 'match']
+function splitKey(key) {
+  const parts = String(key).replace(/\[(\d+)\]/g, '.$1').split('.');
+  if (parts.some(part => part === '')) {
+    throw new ConfigError(`Invalid setting name "${key}"`);
+  }
+  return parts;
+}
+
+function schemaAt(key) {
+  let schema = CONFIG_SCHEMA;
+  for (const part of splitKey(key)) {
+    if (schema.type === 'object') {
+      schema = (schema.properties && schema.properties[part]) || schema.additionalProperties;
+    } else if (schema.type === 'array' && /^\d+$/.test(part)) {
+      schema = schema.items;
+    } else {
+      schema = null;
+    }
+    if (!schema) {
+      return null;
+    }
+  }
+  return schema;
+}
+
+// Turn a command line value into the type the setting expects. Strings are
+// taken as-is, everything else is parsed as JSON; string lists also accept
+// "a,b,c".
+function parseConfigValue(key, raw) {
+  const schema = schemaAt(key);
+  if (!schema) {
+    throw new ConfigError(`Unknown setting "${key}"`);
+  }
+  if (schema.type === 'string') {
+    return raw;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    if (schema.type === 'array' && schema.items.type === 'string') {
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    throw new ConfigError(`${key} expects ${EXPECTED[schema.type]}, got "${raw}"`);
+  }
+}
+
+function getConfigValue(config, key) {
+  return splitKey(key).reduce((value, part) => (value !== null && typeof value === 'object' ? value[part] : undefined), config);
+}
+
+// Returns a copy of `config` with the setting changed; intermediate objects
+// are created as needed
+function setConfigValue(config, key, value) {
+  const parts = splitKey(key);
+  const copy = JSON.parse(JSON.stringify(config));
+  let target = copy;
+
+  parts.slice(0, -1).forEach((part, index) => {
+    if (target[part] === null || typeof target[part] !== 'object') {
+      target[part] = /^\d+$/.test(parts[index + 1]) ? [] : {};
+    }
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = value;
+  return copy;
+}
+
+// Returns a copy of `config` without the setting
+function unsetConfigValue(config, key) {
+  const parts = splitKey(key);
+  const copy = JSON.parse(JSON.stringify(config));
+  const parent = parts.length > 1 ? getConfigValue(copy, parts.slice(0, -1).join('.')) : copy;
+  const last = parts[parts.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(Number(last), 1);
+  } else if (parent && typeof parent === 'object') {
+    delete parent[last];
+  }
+  return copy;
+}
+
+// Every set value as [key, value] pairs. Objects and lists of objects are
+// expanded; lists of plain values are kept whole.
+function listConfigValues(config, prefix = '') {
+  return Object.entries(config).reduce((entries, [name, value]) => {
+    const key = joinKey(prefix, name);
+    const expand = isPlainObject(value) || (Array.isArray(value) && value.length > 0 && value.every(isPlainObject));
+    return entries.concat(expand ? listConfigValues(value, key) : [[key, value]]);
+  }, []);
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  ConfigError,
+  LOCAL_CONFIG_FILE,
+  findLocalConfig,
+  getConfigDir,
+  getConfigPath,
+  getConfigValue,
+  listConfigValues,
+  listSettingNames,
+  migrateConfig,
+  parseConfigValue,
+  readConfigFile,
+  readLocalConfig,
+  setConfigValue,
+  unsetConfigValue,
+  validateConfig,
+  writeConfigFile,
+};
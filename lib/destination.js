@@ -0,0 +1,134 @@
+const path = require('path');
+const { parseGitUrl } = require('./git-url');
+
+class DestinationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DestinationError';
+  }
+}
+
+// Glob-style matching against "host/owner/repo":
+// "*" matches within one path segment, "**" matches across segments
+function matchesPattern(pattern, value) {
+  const regex = pattern
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${regex}$`, 'i').test(value);
+}
+
+function findMatchingRules(parsed, config) {
+  const rules = Array.isArray(config.rules) ? config.rules : [];
+  const fullName = [parsed.host, ...parsed.segments.slice(0, -1), parsed.repo].join('/');
+  return rules.filter(rule => rule && rule.match && matchesPattern(rule.match, fullName));
+}
+
+function findLayoutRule(parsed, config) {
+  return findMatchingRules(parsed, config).find(rule => rule.path) || null;
+}
+
+function expandLayoutTemplate(template, values) {
+  // A template without {repo} names the parent folder
+  const withRepo = template.includes('{repo}') ? template : `${template.replace(/[\\/]+$/, '')}/{repo}`;
+  return withRepo
+    .replace(/\{(host|owner|repo)\}/g, (placeholder, key) => values[key])
+    .split(/[\\/]+/)
+    .filter(Boolean)
+    .join(path.sep);
+}
+
+// The path of a clone relative to the projects directory, from the first
+// matching rule with a path or the `layout` setting. Null when neither applies.
+function resolveLayoutPath(url, config, name) {
+  const parsed = parseGitUrl(url, { defaultHost: config.defaultHost });
+  // Layouts are built from host/owner, which local repositories don't have
+  if (!parsed || !parsed.host) {
+    return null;
+  }
+
+  const rule = findLayoutRule(parsed, config);
+  const template = rule ? rule.path : config.layout;
+  if (!template) {
+    return null;
+  }
+
+  return expandLayoutTemplate(template, {
+    host: parsed.host,
+    owner: parsed.owner,
+    repo: name || parsed.repo,
+  });
+}
+
+// The absolute path of `targetPath` when it's inside `projectsDir`, otherwise false
+function validatePathWithinProjectsDir(targetPath, projectsDir) {
+  // Normalize and resolve to absolute path
+  const resolved = path.resolve(targetPath);
+  const projectsResolved = path.resolve(projectsDir);
+
+  // Normalize paths for comparison (handle trailing slashes)
+  const normalizedTarget = resolved + path.sep;
+  const normalizedProjects = projectsResolved + path.sep;
+
+  // Check if resolved path is within projects directory
+  if (!normalizedTarget.startsWith(normalizedProjects) && resolved !== projectsResolved) {
+    return false;
+  }
+
+  return resolved;
+}
+
+// true, or the reason the folder name can't be used
+function validateFolderName(input) {
+  if (!input || input.trim() === '') {
+    return 'Folder name cannot be empty';
+  }
+  if (input.includes('/') || input.includes('\\')) {
+    return 'Folder name cannot contain slashes';
+  }
+  return true;
+}
+
+// Where a clone of `url` goes without asking anyone: `dest` (a folder
+// relative to the projects directory) when given, then the layout, then the
+// projects directory itself. `name` replaces the repository name as the
+// folder name. Throws DestinationError for a bad name or a path outside the
+// projects directory.
+function resolveDestination(url, options) {
+  const { projectsDir, config = {}, dest, name } = options;
+
+  if (name !== undefined && name !== null) {
+    const valid = validateFolderName(name);
+    if (valid !== true) {
+      throw new DestinationError(`Invalid folder name: ${valid}`);
+    }
+  }
+
+  const parsed = parseGitUrl(url, { defaultHost: config.defaultHost });
+  const folderName = name ? name.trim() : (parsed && parsed.repo) || 'repository';
+  const layoutPath = dest ? null : resolveLayoutPath(url, config, name && name.trim());
+  const targetDir = layoutPath
+    ? path.join(projectsDir, layoutPath)
+    : path.join(path.resolve(projectsDir, dest || '.'), folderName);
+
+  const validated = validatePathWithinProjectsDir(targetDir, projectsDir);
+  if (!validated || validated === path.resolve(projectsDir)) {
+    throw new DestinationError(`${targetDir} is outside the projects directory ${projectsDir}`);
+  }
+  return validated;
+}
+
+module.exports = {
+  DestinationError,
+  expandLayoutTemplate,
+  findLayoutRule,
+  findMatchingRules,
+  matchesPattern,
+  resolveDestination,
+  resolveLayoutPath,
+  validateFolderName,
+  validatePathWithinProjectsDir,
+};
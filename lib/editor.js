@@ -0,0 +1,212 @@
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Known editors, in the order they are tried when none is configured.
+// "app" is the macOS application name, used when the CLI isn't on PATH.
+const EDITOR_PRESETS = {
+  cursor: { name: 'Cursor', command: 'cursor', app: 'Cursor' },
+  code: { name: 'VS Code', command: 'code', app: 'Visual Studio Code' },
+  'code-insiders': { name: 'VS Code Insiders', command: 'code-insiders', app: 'Visual Studio Code - Insiders' },
+  zed: { name: 'Zed', command: 'zed', app: 'Zed' },
+  windsurf: { name: 'Windsurf', command: 'windsurf', app: 'Windsurf' },
+  subl: { name: 'Sublime Text', command: 'subl', app: 'Sublime Text' },
+  idea: { name: 'IntelliJ IDEA', command: 'idea', app: 'IntelliJ IDEA' },
+  webstorm: { name: 'WebStorm', command: 'webstorm', app: 'WebStorm' },
+  pycharm: { name: 'PyCharm', command: 'pycharm', app: 'PyCharm' },
+  goland: { name: 'GoLand', command: 'goland', app: 'GoLand' },
+  rider: { name: 'Rider', command: 'rider', app: 'Rider' },
+  fleet: { name: 'Fleet', command: 'fleet', app: 'Fleet' },
+};
+
+// Runs $VISUAL or $EDITOR in the current terminal
+const TERMINAL_EDITOR = 'terminal';
+// Never offer to open the clone
+const NO_EDITOR = 'none';
+
+function findExecutable(command) {
+  if (command.includes('/') || command.includes('\\')) {
+    return isExecutable(command) ? command : null;
+  }
+
+  const extensions = process.platform === 'win32'
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';')
+    : [''];
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  for (const dir of dirs) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, command + ext);
+      if (isExecutable(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, process.platform === 'win32' ? fs.constants.F_OK : fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch (err) {
+    return false;
+  }
+}
+
+function hasMacApp(app) {
+  if (process.platform !== 'darwin' || !app) {
+    return false;
+  }
+  return spawnSync('open', ['-Ra', app], { stdio: 'ignore' }).status === 0;
+}
+
+// Split a command template like `idea --wait "{path}"` into words
+function splitCommand(template) {
+  const words = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(template)) !== null) {
+    words.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+  return words;
+}
+
+function fromTemplate(template, fields) {
+  const [command, ...args] = splitCommand(template);
+  if (!command) {
+    return null;
+  }
+  const base = path.basename(command).replace(/\.(exe|cmd|bat)$/i, '');
+  return {
+    id: fields.id || command,
+    name: EDITOR_PRESETS[base] ? EDITOR_PRESETS[base].name : base,
+    command,
+    // Without a {path} placeholder the path goes last
+    args: args.some(arg => arg.includes('{path}')) ? args : [...args, '{path}'],
+    terminal: Boolean(fields.terminal),
+  };
+}
+
+function fromPreset(id) {
+  const preset = EDITOR_PRESETS[id];
+  return { id, name: preset.name, command: preset.command, args: ['{path}'], app: preset.app, terminal: false };
+}
+
+function isAvailable(editor) {
+  return Boolean(findExecutable(editor.command)) || hasMacApp(editor.app);
+}
+
+function detectEditors() {
+  const detected = Object.keys(EDITOR_PRESETS)
+    .map(fromPreset)
+    .filter(isAvailable);
+
+  const terminalEditor = resolveEditor(TERMINAL_EDITOR);
+  if (terminalEditor) {
+    detected.push(terminalEditor);
+  }
+  return detected;
+}
+
+// Turn a setting (preset id, "terminal", "none" or a command template such as
+// "idea {path}") into an editor description. Without a setting the first
+// installed preset is used. Returns null when there is nothing to open with.
+function resolveEditor(setting) {
+  if (!setting) {
+    const preset = Object.keys(EDITOR_PRESETS).map(fromPreset).find(isAvailable);
+    return preset || resolveEditor(TERMINAL_EDITOR);
+  }
+
+  const id = String(setting).trim();
+
+  if (id === NO_EDITOR) {
+    return null;
+  }
+
+  if (id === TERMINAL_EDITOR) {
+    const command = process.env.VISUAL || process.env.EDITOR;
+    if (!command) {
+      return null;
+    }
+    return fromTemplate(command, { id: TERMINAL_EDITOR, terminal: true });
+  }
+
+  if (EDITOR_PRESETS[id.toLowerCase()]) {
+    return fromPreset(id.toLowerCase());
+  }
+
+  return fromTemplate(id, {});
+}
+
+function editorArgs(editor, targetDir) {
+  return editor.args.map(arg => arg.split('{path}').join(targetDir));
+}
+
+function quoteArg(arg) {
+  return /[\s"']/.test(arg) ? `"${arg.replace(/"/g, '\\"')}"` : arg;
+}
+
+function formatEditorCommand(editor, targetDir) {
+  return [editor.command, ...editorArgs(editor, targetDir)].map(quoteArg).join(' ');
+}
+
+function openInEditor(editor, targetDir) {
+  const args = editorArgs(editor, targetDir);
+  const executable = findExecutable(editor.command);
+
+  if (!executable) {
+    if (hasMacApp(editor.app)) {
+      return launch('open', ['-a', editor.app, targetDir], false);
+    }
+    return { ok: false, message: `"${editor.command}" was not found in PATH` };
+  }
+
+  return launch(executable, args, editor.terminal);
+}
+
+function launch(executable, args, terminal) {
+  // .cmd/.bat shims on Windows can only be started through the shell
+  const shell = process.platform === 'win32' && /\.(cmd|bat)$/i.test(executable);
+  const command = shell ? quoteArg(executable) : executable;
+  const commandArgs = shell ? args.map(quoteArg) : args;
+
+  // Terminal editors take over this terminal until they exit
+  if (terminal) {
+    const result = spawnSync(command, commandArgs, { stdio: 'inherit', shell });
+    if (result.error) {
+      return { ok: false, message: result.error.message };
+    }
+    return result.status === 0
+      ? { ok: true }
+      : { ok: false, message: `Editor exited with code ${result.status}` };
+  }
+
+  try {
+    const child = spawn(command, commandArgs, {
+      detached: true,
+      stdio: 'ignore',
+      shell,
+    });
+    child.on('error', () => {});
+    // A child without a pid never started (missing binary, permissions, ...)
+    if (!child.pid) {
+      return { ok: false, message: `Could not start ${executable}` };
+    }
+    child.unref();
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, message: err.message };
+  }
+}
+
+module.exports = {
+  EDITOR_PRESETS,
+  NO_EDITOR,
+  TERMINAL_EDITOR,
+  detectEditors,
+  findExecutable,
+  formatEditorCommand,
+  openInEditor,
+  resolveEditor,
+};
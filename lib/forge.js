@@ -0,0 +1,294 @@
+const http = require('http');
+const https = require('https');
+const { parseGitUrl } = require('./git-url');
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+class ForgeError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ForgeError';
+    this.status = status;
+  }
+}
+
+// The API of each hosting site. Every provider turns its own repository
+// representation into { fullName, name, owner, description, language,
+// archived, httpsUrl, sshUrl, defaultBranch }.
+const PROVIDERS = {
+  github: {
+    apiUrl: host => (host === 'github.com' ? 'https://api.github.com' : `https://${host}/api/v3`),
+    tokenEnv: ['GITHUB_TOKEN', 'GH_TOKEN'],
+    headers: token => ({ Authorization: `Bearer ${token}`, Accept: 'application/vnd.github+json' }),
+    repoPath: fullName => `/repos/${fullName}`,
+    forkPath: fullName => `/repos/${fullName}/forks`,
+    orgReposPath: org => `/orgs/${encodeURIComponent(org)}/repos?per_page=100`,
+    userReposPath: user => `/users/${encodeURIComponent(user)}/repos?per_page=100`,
+    userPath: '/user',
+    username: user => user.login,
+    toRepository: data => ({
+      fullName: data.full_name,
+      name: data.name,
+      owner: data.owner && data.owner.login,
+      description: data.description || '',
+      language: data.language || '',
+      archived: Boolean(data.archived),
+      httpsUrl: data.clone_url,
+      sshUrl: data.ssh_url,
+      defaultBranch: data.default_branch,
+    }),
+  },
+  gitlab: {
+    apiUrl: host => `https://${host}/api/v4`,
+    tokenEnv: ['GITLAB_TOKEN'],
+    headers: token => ({ 'PRIVATE-TOKEN': token }),
+    // GitLab addresses projects by their URL-encoded path, which may include subgroups
+    repoPath: fullName => `/projects/${encodeURIComponent(fullName)}`,
+    forkPath: fullName => `/projects/${encodeURIComponent(fullName)}/fork`,
+    orgReposPath: group => `/groups/${encodeURIComponent(group)}/projects?per_page=100&include_subgroups=true`,
+    userReposPath: user => `/users/${encodeURIComponent(user)}/projects?per_page=100`,
+    userPath: '/user',
+    username: user => user.username,
+    toRepository: data => ({
+      fullName: data.path_with_namespace,
+      name: data.path,
+      owner: data.namespace && data.namespace.full_path,
+      description: data.description || '',
+      // Project listings don't include languages
+      language: '',
+      archived: Boolean(data.archived),
+      httpsUrl: data.http_url_to_repo,
+      sshUrl: data.ssh_url_to_repo,
+      defaultBranch: data.default_branch,
+    }),
+  },
+  gitea: {
+    apiUrl: host => `https://${host}/api/v1`,
+    tokenEnv: ['GITEA_TOKEN'],
+    headers: token => ({ Authorization: `token ${token}` }),
+    repoPath: fullName => `/repos/${fullName}`,
+    forkPath: fullName => `/repos/${fullName}/forks`,
+    orgReposPath: org => `/orgs/${encodeURIComponent(org)}/repos?limit=50`,
+    userReposPath: user => `/users/${encodeURIComponent(user)}/repos?limit=50`,
+    userPath: '/user',
+    username: user => user.login,
+    toRepository: data => ({
+      fullName: data.full_name,
+      name: data.name,
+      owner: data.owner && data.owner.login,
+      description: data.description || '',
+      language: data.language || '',
+      archived: Boolean(data.archived),
+      httpsUrl: data.clone_url,
+      sshUrl: data.ssh_url,
+      defaultBranch: data.default_branch,
+    }),
+  },
+};
+
+// Listings are paged; stop following "next" links after this many pages
+const MAX_PAGES = 50;
+
+// Hosts that work without any configuration
+const KNOWN_FORGES = {
+  'github.com': 'github',
+  'gitlab.com': 'gitlab',
+  'codeberg.org': 'gitea',
+  'gitea.com': 'gitea',
+};
+
+// The settings for a forge: an entry in the `forges` config (keyed by host,
+// or host:port) or one of the known public hosts. Returns null when the host
+// isn't a known forge.
+function getForge(host, port, config = {}) {
+  const forges = config.forges || {};
+  const settings = (port && forges[`${host}:${port}`]) || forges[host] || {};
+  const type = settings.type || KNOWN_FORGES[host];
+  if (!PROVIDERS[type]) {
+    return null;
+  }
+
+  const provider = PROVIDERS[type];
+  // Environment variables win over a token stored in the config
+  const tokenEnv = settings.tokenEnv ? [settings.tokenEnv] : provider.tokenEnv;
+  const tokenName = tokenEnv.find(name => process.env[name]);
+
+  return {
+    type,
+    host,
+    apiUrl: (settings.apiUrl || provider.apiUrl(host)).replace(/\/+$/, ''),
+    username: settings.username || null,
+    token: tokenName ? process.env[tokenName] : settings.token || null,
+    tokenEnv,
+    protocol: settings.protocol || 'https',
+  };
+}
+
+// The forge for the host of `url`, along with the repository it points at
+function resolveForge(url, config = {}) {
+  const parsed = parseGitUrl(url, { defaultHost: config.defaultHost });
+  if (!parsed || !parsed.host || parsed.protocol === 'file') {
+    return null;
+  }
+
+  const forge = getForge(parsed.host, parsed.port, config);
+  if (!forge) {
+    return null;
+  }
+  return {
+    ...forge,
+    fullName: [...parsed.segments.slice(0, -1), parsed.repo].join('/'),
+    owner: parsed.owner,
+    protocol: parsed.protocol,
+  };
+}
+
+function request(method, url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const body = options.body === undefined ? null : JSON.stringify(options.body);
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      method,
+      headers: {
+        'User-Agent': 'git-clone-select',
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) } : {}),
+        ...options.headers,
+      },
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+      });
+      res.on('end', () => {
+        let data = null;
+        try {
+          data = text ? JSON.parse(text) : null;
+        } catch (err) {
+          // Not JSON, e.g. an HTML error page from a proxy
+        }
+        resolve({ status: res.statusCode, headers: res.headers, data });
+      });
+    });
+
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Request to ${url} timed out`));
+    });
+    req.on('error', err => reject(new ForgeError(err.message)));
+    if (body) {
+      req.write(body);
+    }
+    req.end();
+  });
+}
+
+function describeFailure(response) {
+  const data = response.data || {};
+  const detail = data.message || data.error || '';
+  return `HTTP ${response.status}${detail ? `: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}` : ''}`;
+}
+
+async function send(forge, method, url, body) {
+  const provider = PROVIDERS[forge.type];
+  const response = await request(method, url, {
+    headers: forge.token ? provider.headers(forge.token) : {},
+    body,
+  });
+  if (response.status < 200 || response.status >= 300) {
+    throw new ForgeError(`${method} ${url.slice(forge.apiUrl.length) || url} failed with ${describeFailure(response)}`, response.status);
+  }
+  return response;
+}
+
+async function callApi(forge, method, apiPath, body) {
+  return (await send(forge, method, forge.apiUrl + apiPath, body)).data;
+}
+
+function nextPageUrl(linkHeader) {
+  const match = /<([^>]+)>;\s*rel="next"/.exec(linkHeader || '');
+  return match ? match[1] : null;
+}
+
+// Every repository of an organization (`{ org }`, a group on GitLab) or a
+// user (`{ user }`), following the pages of the listing
+async function listRepositories(forge, owner) {
+  const provider = PROVIDERS[forge.type];
+  let url = forge.apiUrl + (owner.org ? provider.orgReposPath(owner.org) : provider.userReposPath(owner.user));
+  const repositories = [];
+
+  for (let page = 0; url && page < MAX_PAGES; page++) {
+    const response = await send(forge, 'GET', url);
+    if (!Array.isArray(response.data)) {
+      throw new ForgeError(`Unexpected response from ${url}`);
+    }
+    repositories.push(...response.data.map(provider.toRepository));
+    url = nextPageUrl(response.headers.link);
+  }
+  return repositories;
+}
+
+async function getRepository(forge, fullName) {
+  return PROVIDERS[forge.type].toRepository(await callApi(forge, 'GET', PROVIDERS[forge.type].repoPath(fullName)));
+}
+
+async function getUsername(forge) {
+  if (forge.username) {
+    return forge.username;
+  }
+  return PROVIDERS[forge.type].username(await callApi(forge, 'GET', PROVIDERS[forge.type].userPath));
+}
+
+// Forks are created in the background on most forges; wait until the new
+// repository can be read before it's cloned
+async function waitForRepository(forge, fullName, options = {}) {
+  const attempts = options.attempts || 10;
+  const delay = options.delay === undefined ? 2000 : options.delay;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await getRepository(forge, fullName);
+    } catch (err) {
+      if (err.status !== 404 || attempt >= attempts) {
+        throw err;
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+// Forks the repository described by `forge` into the authenticated account
+// and returns the fork. Forking a repository twice returns the existing fork.
+async function createFork(forge, options = {}) {
+  if (!forge.token) {
+    throw new ForgeError(`Forking on ${forge.host} needs an API token. Set ${forge.tokenEnv.join(' or ')}.`);
+  }
+
+  const provider = PROVIDERS[forge.type];
+  let fork;
+  try {
+    fork = provider.toRepository(await callApi(forge, 'POST', provider.forkPath(forge.fullName), {}));
+  } catch (err) {
+    // GitLab and Gitea refuse to fork twice; look up the existing fork instead
+    if (err.status !== 409) {
+      throw err;
+    }
+    const username = await getUsername(forge);
+    fork = await getRepository(forge, `${username}/${forge.fullName.split('/').pop()}`);
+  }
+
+  return waitForRepository(forge, fork.fullName, options);
+}
+
+module.exports = {
+  ForgeError,
+  KNOWN_FORGES,
+  PROVIDERS,
+  createFork,
+  getForge,
+  getRepository,
+  getUsername,
+  listRepositories,
+  request,
+  resolveForge,
+};
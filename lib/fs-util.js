@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+
+// Write to a temporary file next to `file` and rename it into place, so an
+// interrupted write never leaves a half-written file behind
+function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempFile, content, 'utf8');
+    fs.renameSync(tempFile, file);
+  } catch (err) {
+    try {
+      fs.unlinkSync(tempFile);
+    } catch (cleanupErr) {
+      // Nothing was written
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+};
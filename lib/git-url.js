@@ -0,0 +1,149 @@
+const fs = require('fs');
+
+// Host used for "owner/repo" shorthand when the config doesn't set one
+const DEFAULT_HOST = 'github.com';
+
+// Prefix shorthand, e.g. "gh:owner/repo"
+const SHORTHAND_HOSTS = {
+  gh: 'github.com',
+  gl: 'gitlab.com',
+  bb: 'bitbucket.org',
+};
+
+const PROTOCOLS = {
+  http: 'http',
+  https: 'https',
+  ssh: 'ssh',
+  'git+ssh': 'ssh',
+  'ssh+git': 'ssh',
+  git: 'git',
+  file: 'file',
+};
+
+function splitSegments(pathname) {
+  return pathname
+    .replace(/[?#].*$/, '')
+    .split(/[\\/]+/)
+    .filter(segment => segment && segment !== '.');
+}
+
+function buildResult(fields, segments) {
+  if (segments.length === 0) {
+    return null;
+  }
+
+  const repo = segments[segments.length - 1].replace(/\.git$/, '');
+  if (!repo) {
+    return null;
+  }
+
+  return {
+    protocol: fields.protocol,
+    user: fields.user || null,
+    host: fields.host ? fields.host.toLowerCase() : null,
+    port: fields.port ? Number(fields.port) : null,
+    segments,
+    owner: segments.slice(0, -1).join('/'),
+    repo,
+    url: fields.url,
+    shorthand: Boolean(fields.shorthand),
+  };
+}
+
+function isLocalPath(input) {
+  return /^(\/|\.{1,2}([\\/]|$)|~([\\/]|$))/.test(input) ||
+    /^[a-z]:[\\/]/i.test(input) ||
+    fs.existsSync(input);
+}
+
+function parseShorthand(input, host) {
+  const segments = input.split('/');
+  if (segments.length < 2 || !segments.every(segment => /^[\w.-]+$/.test(segment))) {
+    return null;
+  }
+
+  const repoPath = segments.join('/').replace(/\.git$/, '');
+  return buildResult({
+    protocol: 'https',
+    host,
+    url: `https://${host}/${repoPath}.git`,
+    shorthand: true,
+  }, segments);
+}
+
+// Parse any git remote git itself understands into its parts:
+//   https://host/group/sub/repo(.git), ssh://user@host:port/path, git://host/path,
+//   user@host:path (scp-style), file:///path, local paths,
+//   gh:owner/repo, gl:group/repo, bb:owner/repo and owner/repo (defaultHost)
+// Returns null when the input isn't recognizable as a repository location.
+function parseGitUrl(url, options = {}) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  const input = url.trim();
+  if (input === '' || /\s/.test(input)) {
+    return null;
+  }
+
+  const prefixMatch = input.match(/^([a-z]+):([^/].*)$/i);
+  if (prefixMatch && SHORTHAND_HOSTS[prefixMatch[1].toLowerCase()]) {
+    return parseShorthand(prefixMatch[2], SHORTHAND_HOSTS[prefixMatch[1].toLowerCase()]);
+  }
+
+  // protocol://[user[:password]@]host[:port]/path
+  const urlMatch = input.match(/^([a-z][a-z0-9+.-]*):\/\/(?:([^@/]*)@)?(\[[^\]]+\]|[^/:]*)(?::(\d+))?(\/.*)?$/i);
+  if (urlMatch) {
+    const [, scheme, userInfo, host, port, pathname = ''] = urlMatch;
+    const protocol = PROTOCOLS[scheme.toLowerCase()];
+    if (!protocol || (protocol !== 'file' && !host)) {
+      return null;
+    }
+
+    return buildResult({
+      protocol,
+      user: userInfo ? decodeURIComponent(userInfo.split(':')[0]) : null,
+      host: protocol === 'file' ? host || null : host,
+      port,
+      // Query strings and fragments mean nothing to git
+      url: /^https?$/.test(protocol) ? input.replace(/[?#].*$/, '') : input,
+    }, splitSegments(pathname));
+  }
+
+  // Local paths (including bare repositories) are cloned as-is
+  if (isLocalPath(input)) {
+    return buildResult({ protocol: 'local', url: input }, splitSegments(input));
+  }
+
+  // scp-style: [user@]host:path
+  const scpMatch = input.match(/^(?:([^@/]+)@)?([^/:]+):(.+)$/);
+  if (scpMatch) {
+    const [, user, host, pathname] = scpMatch;
+    return buildResult({ protocol: 'ssh', user, host, url: input }, splitSegments(pathname));
+  }
+
+  return parseShorthand(input, options.defaultHost || DEFAULT_HOST);
+}
+
+// A key that is the same for every way of writing one repository's URL:
+// SSH and HTTPS, with or without ".git", any user or port, any letter case.
+function normalizeGitUrl(url, options = {}) {
+  const parsed = parseGitUrl(url, options);
+  if (!parsed) {
+    return null;
+  }
+
+  const repoPath = [...parsed.segments.slice(0, -1), parsed.repo].join('/');
+  if (!parsed.host) {
+    // Local paths and file:// URLs point at the same place either way
+    return `file:///${repoPath}`;
+  }
+  return `${parsed.host}/${repoPath}`.toLowerCase();
+}
+
+module.exports = {
+  DEFAULT_HOST,
+  SHORTHAND_HOSTS,
+  normalizeGitUrl,
+  parseGitUrl,
+};
@@ -0,0 +1,15 @@
+const { execFile } = require('child_process');
+
+// Runs git in `repoDir` without a shell and resolves to
+// { ok, stdout, stderr }; it never rejects
+function git(repoDir, args) {
+  return new Promise((resolve) => {
+    execFile('git', args, { cwd: repoDir, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      resolve({ ok: !err, stdout: String(stdout).trim(), stderr: String(stderr).trim() });
+    });
+  });
+}
+
+module.exports = {
+  git,
+};
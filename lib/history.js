@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./fs-util');
+const { normalizeGitUrl } = require('./git-url');
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 1000;
+
+function readHistory(historyFile) {
+  try {
+    const entries = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeHistory(historyFile, entries) {
+  writeFileAtomic(historyFile, JSON.stringify(entries.slice(-MAX_ENTRIES), null, 2));
+}
+
+function appendHistory(historyFile, entry) {
+  const entries = readHistory(historyFile);
+  entries.push({
+    url: entry.url,
+    path: entry.path,
+    branch: entry.branch || null,
+    status: entry.status,
+    error: entry.error || undefined,
+    // Projects started from a template aren't copies of it
+    template: entry.template || undefined,
+    timestamp: entry.timestamp || new Date().toISOString(),
+  });
+  writeHistory(historyFile, entries);
+}
+
+// Records how a clone as returned by cloneTransactional went. `branch` is the
+// branch that was checked out, or the one asked for when the clone failed.
+function recordCloneResult(historyFile, url, targetDir, result, options = {}) {
+  appendHistory(historyFile, {
+    url,
+    path: targetDir,
+    branch: options.branch,
+    status: result.ok ? 'success' : 'failed',
+    error: result.ok ? undefined : result.message,
+    template: options.template,
+  });
+}
+
+// Successful clones of the same repository that are still on disk, newest first
+function findPreviousClones(entries, url, options = {}) {
+  const key = normalizeGitUrl(url, options);
+  if (!key) {
+    return [];
+  }
+
+  const seen = new Set();
+  return entries
+    .slice()
+    .reverse()
+    .filter((entry) => {
+      if (entry.status !== 'success' || entry.template || seen.has(entry.path)) {
+        return false;
+      }
+      seen.add(entry.path);
+      return normalizeGitUrl(entry.url, options) === key && fs.existsSync(entry.path);
+    });
+}
+
+// The last `limit` distinct repositories that were cloned successfully and still exist
+function recentClones(entries, limit) {
+  const seen = new Set();
+  const recent = [];
+
+  for (const entry of entries.slice().reverse()) {
+    if (recent.length >= limit) {
+      break;
+    }
+    if (entry.status !== 'success' || seen.has(entry.path)) {
+      continue;
+    }
+    seen.add(entry.path);
+    if (fs.existsSync(entry.path)) {
+      recent.push(entry);
+    }
+  }
+
+  return recent;
+}
+
+// Points entries at a clone's new location after it was moved.
+// Returns the number of entries that changed.
+function moveHistoryPaths(historyFile, from, to) {
+  const entries = readHistory(historyFile);
+  let moved = 0;
+
+  entries.forEach((entry) => {
+    if (entry.path === from || (entry.path && entry.path.startsWith(from + path.sep))) {
+      entry.path = to + entry.path.slice(from.length);
+      moved++;
+    }
+  });
+
+  if (moved > 0) {
+    writeHistory(historyFile, entries);
+  }
+  return moved;
+}
+
+module.exports = {
+  appendHistory,
+  findPreviousClones,
+  moveHistoryPaths,
+  readHistory,
+  recentClones,
+  recordCloneResult,
+  writeHistory,
+};
@@ -0,0 +1,102 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { findExecutable } = require('./editor');
+
+// Project files that tell us how to set up a fresh clone. Only the first
+// matching entry of each group is used, so a pnpm lockfile wins over package.json.
+const SETUP_DETECTORS = [
+  {
+    group: 'node',
+    steps: [
+      { file: 'pnpm-lock.yaml', command: 'pnpm install' },
+      { file: 'yarn.lock', command: 'yarn install' },
+      { file: 'bun.lockb', command: 'bun install' },
+      { file: 'bun.lock', command: 'bun install' },
+      { file: 'package-lock.json', command: 'npm install' },
+      { file: 'package.json', command: 'npm install' },
+    ],
+  },
+  {
+    group: 'python',
+    steps: [
+      { file: 'uv.lock', command: 'uv sync' },
+      { file: 'poetry.lock', command: 'poetry install' },
+      { file: 'Pipfile', command: 'pipenv install' },
+      { file: 'requirements.txt', command: 'pip install -r requirements.txt' },
+    ],
+  },
+  { group: 'ruby', steps: [{ file: 'Gemfile', command: 'bundle install' }] },
+  { group: 'php', steps: [{ file: 'composer.json', command: 'composer install' }] },
+  { group: 'go', steps: [{ file: 'go.mod', command: 'go mod download' }] },
+  { group: 'rust', steps: [{ file: 'Cargo.toml', command: 'cargo fetch' }] },
+  { group: 'submodules', steps: [{ file: '.gitmodules', command: 'git submodule update --init --recursive' }] },
+];
+
+function copyEnvExample(dir) {
+  fs.copyFileSync(path.join(dir, '.env.example'), path.join(dir, '.env'), fs.constants.COPYFILE_EXCL);
+}
+
+// Returns the setup steps that apply to a freshly cloned directory.
+// Steps whose tool isn't installed are returned with `missing` set.
+function detectSetupSteps(dir) {
+  const steps = [];
+
+  for (const detector of SETUP_DETECTORS) {
+    const match = detector.steps.find(step => fs.existsSync(path.join(dir, step.file)));
+    if (match) {
+      const tool = match.command.split(' ')[0];
+      steps.push({
+        name: match.command,
+        reason: match.file,
+        command: match.command,
+        missing: !findExecutable(tool),
+      });
+    }
+  }
+
+  if (fs.existsSync(path.join(dir, '.env.example')) && !fs.existsSync(path.join(dir, '.env'))) {
+    steps.push({
+      name: 'cp .env.example .env',
+      reason: '.env.example',
+      action: copyEnvExample,
+      missing: false,
+    });
+  }
+
+  return steps;
+}
+
+// Runs one step in the clone, streaming its output to this terminal (or as
+// `stdio` says)
+function runStep(step, dir, env = {}, stdio = 'inherit') {
+  if (step.action) {
+    try {
+      step.action(dir);
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, message: err.message };
+    }
+  }
+
+  // Hooks are user-written shell commands, so they run through the shell
+  const result = spawnSync(step.command, {
+    cwd: dir,
+    stdio,
+    shell: true,
+    env: { ...process.env, ...env },
+  });
+
+  if (result.error) {
+    return { ok: false, message: result.error.message };
+  }
+  if (result.status !== 0) {
+    return { ok: false, message: `exited with code ${result.status === null ? result.signal : result.status}` };
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  detectSetupSteps,
+  runStep,
+};
@@ -0,0 +1,117 @@
+const os = require('os');
+const { parseGitUrl } = require('./git-url');
+const { findMatchingRules } = require('./destination');
+
+const PROTOCOL_CHOICES = ['ssh', 'https'];
+
+// Settings of an identity, as used in "identity" at the top level, in a
+// workspace or in a rule
+const IDENTITY_KEYS = ['sshHost', 'sshKey', 'sshCommand', 'name', 'email'];
+
+function repoPath(parsed) {
+  return [...parsed.segments.slice(0, -1), parsed.repo].join('/');
+}
+
+// The identity to clone `url` with: the config's "identity", overridden
+// setting by setting by the rules matching the URL (the first rule wins).
+// Null when nothing is set.
+function resolveIdentity(url, config) {
+  const parsed = parseGitUrl(url, { defaultHost: config.defaultHost });
+  const ruleIdentities = parsed && parsed.host
+    ? findMatchingRules(parsed, config).filter(rule => rule.identity).map(rule => rule.identity).reverse()
+    : [];
+  const merged = Object.assign({}, config.identity || {}, ...ruleIdentities);
+
+  const identity = {};
+  IDENTITY_KEYS.filter(key => merged[key]).forEach((key) => {
+    identity[key] = merged[key];
+  });
+  return Object.keys(identity).length > 0 ? identity : null;
+}
+
+// The protocol to clone `url` over: `override` (from the command line), else
+// the first matching rule with a protocol, else the config's. Null keeps the
+// URL as it is.
+function resolveProtocol(url, config, override) {
+  if (override) {
+    return override;
+  }
+  const parsed = parseGitUrl(url, { defaultHost: config.defaultHost });
+  const rule = parsed && parsed.host
+    ? findMatchingRules(parsed, config).find(item => item.protocol)
+    : null;
+  return rule ? rule.protocol : config.protocol || null;
+}
+
+// Rewrites a remote on a forge between HTTPS and SSH:
+//   https://github.com/owner/repo -> git@github.com:owner/repo.git
+//   git@github.com:owner/repo.git -> https://github.com/owner/repo.git
+// Ports are dropped, as SSH and HTTPS don't share them. Local paths, file://
+// and git:// URLs, and URLs already using `protocol` are returned unchanged.
+function convertUrl(url, protocol, options = {}) {
+  const parsed = parseGitUrl(url, options);
+  if (!parsed || !parsed.host || !['http', 'https', 'ssh'].includes(parsed.protocol)) {
+    return url;
+  }
+  if (protocol === 'ssh' && parsed.protocol !== 'ssh') {
+    return `git@${parsed.host}:${repoPath(parsed)}.git`;
+  }
+  if (protocol === 'https' && parsed.protocol === 'ssh') {
+    return `https://${parsed.host}/${repoPath(parsed)}.git`;
+  }
+  return url;
+}
+
+// How to clone `url` through an alias from ~/.ssh/config (which then picks
+// the key, user and port). Origin keeps the real host over SSH, so duplicate
+// checks and sync still recognize the clone; a url.<alias>.insteadOf setting
+// in the clone sends git through the alias. Returns { url, gitConfig }: the
+// URL to clone and [key, value] pairs to pass with -c.
+function applySshHost(url, sshHost) {
+  const parsed = parseGitUrl(url);
+  if (!sshHost || !parsed || !parsed.host) {
+    return { url, gitConfig: [] };
+  }
+  const user = parsed.protocol === 'ssh' && parsed.user ? parsed.user : 'git';
+  const sshUrl = parsed.protocol === 'ssh' ? url : `${user}@${parsed.host}:${repoPath(parsed)}.git`;
+  return {
+    url: sshUrl,
+    gitConfig: [[`url.${user}@${sshHost}:${repoPath(parsed)}.git.insteadOf`, sshUrl]],
+  };
+}
+
+function quoteShellArg(value) {
+  return /^[\w@%+=:,./~-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+// Settings git should write into the clone for `identity`, as [key, value]
+// pairs. Passed to git clone with -c, they also apply to the clone itself.
+function identityGitConfig(identity) {
+  if (!identity) {
+    return [];
+  }
+  const settings = [];
+  if (identity.sshCommand) {
+    settings.push(['core.sshCommand', identity.sshCommand]);
+  } else if (identity.sshKey) {
+    const key = identity.sshKey.replace(/^~(?=$|[\\/])/, os.homedir());
+    // Without IdentitiesOnly, ssh may offer an agent's key for the wrong account first
+    settings.push(['core.sshCommand', `ssh -i ${quoteShellArg(key)} -o IdentitiesOnly=yes`]);
+  }
+  if (identity.name) {
+    settings.push(['user.name', identity.name]);
+  }
+  if (identity.email) {
+    settings.push(['user.email', identity.email]);
+  }
+  return settings;
+}
+
+module.exports = {
+  PROTOCOL_CHOICES,
+  applySshHost,
+  convertUrl,
+  identityGitConfig,
+  resolveIdentity,
+  resolveProtocol,
+};
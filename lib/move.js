@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./fs-util');
+const { isSkippedDir } = require('./scan');
+
+function removeDir(dir) {
+  // fs.rmSync only exists since Node 14.14
+  if (fs.rmSync) {
+    // Retries cover files still being closed, e.g. by a git process that was just stopped
+    fs.rmSync(dir, { recursive: true, force: true, maxRetries: 3 });
+  } else {
+    fs.rmdirSync(dir, { recursive: true });
+  }
+}
+
+// Copies a tree, keeping symlinks as links and file modes as they are
+function copyTree(from, to) {
+  const stat = fs.lstatSync(from);
+  if (stat.isSymbolicLink()) {
+    fs.symlinkSync(fs.readlinkSync(from), to);
+  } else if (stat.isDirectory()) {
+    fs.mkdirSync(to, { mode: stat.mode });
+    fs.readdirSync(from).forEach(name => copyTree(path.join(from, name), path.join(to, name)));
+  } else {
+    fs.copyFileSync(from, to);
+    fs.chmodSync(to, stat.mode);
+  }
+}
+
+// Number of entries and bytes in a tree, to check a copy is complete
+function measureTree(dir) {
+  const totals = { entries: 0, bytes: 0 };
+  const walk = (current) => {
+    for (const item of fs.readdirSync(current, { withFileTypes: true })) {
+      const itemPath = path.join(current, item.name);
+      totals.entries++;
+      if (item.isDirectory()) {
+        walk(itemPath);
+      } else if (item.isFile()) {
+        totals.bytes += fs.statSync(itemPath).size;
+      }
+    }
+  };
+  walk(dir);
+  return totals;
+}
+
+// Moves a directory. A rename is tried first; across devices the tree is
+// copied, compared with the original and only then is the original removed.
+// An empty folder at `to` is replaced, and put back when the move fails.
+// Returns { copied } telling which of the two happened.
+function moveDirectory(from, to) {
+  let replaced = null;
+  if (fs.existsSync(to)) {
+    replaced = fs.statSync(to).mode;
+    // Renaming onto an empty folder doesn't work everywhere; fails when it isn't empty
+    fs.rmdirSync(to);
+  }
+
+  try {
+    return moveTree(from, to);
+  } catch (err) {
+    if (replaced !== null && !fs.existsSync(to)) {
+      fs.mkdirSync(to, { mode: replaced });
+    }
+    throw err;
+  }
+}
+
+function moveTree(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+
+  try {
+    fs.renameSync(from, to);
+    return { copied: false };
+  } catch (err) {
+    if (err.code !== 'EXDEV') {
+      throw err;
+    }
+  }
+
+  try {
+    copyTree(from, to);
+    const original = measureTree(from);
+    const copy = measureTree(to);
+    if (original.entries !== copy.entries || original.bytes !== copy.bytes) {
+      throw new Error(`copy is incomplete (${copy.entries}/${original.entries} files, ${copy.bytes}/${original.bytes} bytes)`);
+    }
+  } catch (err) {
+    // Leave the original untouched and clean up the partial copy
+    removeDir(to);
+    throw err;
+  }
+
+  removeDir(from);
+  return { copied: true };
+}
+
+function isWithin(target, dir) {
+  return target === dir || target.startsWith(dir + path.sep);
+}
+
+function findWorkspaceFiles(root, maxDepth) {
+  const files = [];
+  const walk = (dir, depth, insideRepository) => {
+    let items;
+    try {
+      items = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+    for (const item of items) {
+      if (item.isFile() && item.name.endsWith('.code-workspace')) {
+        files.push(path.join(dir, item.name));
+      } else if (item.isDirectory() && depth < maxDepth && !item.name.startsWith('.') && !isSkippedDir(item.name, insideRepository)) {
+        const child = path.join(dir, item.name);
+        walk(child, depth + 1, insideRepository || fs.existsSync(path.join(child, '.git')));
+      }
+    }
+  };
+  walk(root, 1, false);
+  return files;
+}
+
+// Points folders in VS Code style .code-workspace files under `root` at the
+// new location. Relative paths stay relative. Files that aren't plain JSON
+// (e.g. with comments) are left alone and returned in `skipped`.
+function updateWorkspaceFiles(root, from, to, options = {}) {
+  const updated = [];
+  const skipped = [];
+
+  for (const file of findWorkspaceFiles(root, options.maxDepth || 4)) {
+    // A workspace file that moved along keeps its relative paths working
+    if (isWithin(file, to)) {
+      continue;
+    }
+
+    let content;
+    let workspace;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+      workspace = JSON.parse(content);
+    } catch (err) {
+      skipped.push(file);
+      continue;
+    }
+    if (!workspace || !Array.isArray(workspace.folders)) {
+      continue;
+    }
+
+    const base = path.dirname(file);
+    let changed = false;
+    workspace.folders.forEach((folder) => {
+      if (!folder || typeof folder.path !== 'string') {
+        return;
+      }
+      const resolved = path.resolve(base, folder.path);
+      if (!isWithin(resolved, from)) {
+        return;
+      }
+      const moved = path.join(to, path.relative(from, resolved));
+      folder.path = path.isAbsolute(folder.path) ? moved : path.relative(base, moved) || '.';
+      changed = true;
+    });
+
+    if (changed) {
+      writeFileAtomic(file, `${JSON.stringify(workspace, null, content.includes('\n\t') ? '\t' : 2)}\n`);
+      updated.push(file);
+    }
+  }
+
+  return { updated, skipped };
+}
+
+module.exports = {
+  moveDirectory,
+  removeDir,
+  updateWorkspaceFiles,
+};
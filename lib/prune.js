@@ -0,0 +1,110 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { git } = require('./git');
+const { removeDir } = require('./move');
+const { repositoryStatus } = require('./status');
+
+const ARCHIVE_FORMATS = ['tar', 'mirror'];
+
+function mtime(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch (err) {
+    return 0;
+  }
+}
+
+// Status of a repository plus what prune needs: when it was last used and
+// why it must be kept. The HEAD reflog changes on every commit, checkout,
+// pull or clone, so it's a better sign of use than the last commit alone.
+async function inspectRepository(repoDir) {
+  const status = await repositoryStatus(repoDir);
+  // Commits on local branches that no remote has, including branches that were never pushed
+  const unpushed = await git(repoDir, ['rev-list', '--count', '--branches', '--not', '--remotes']);
+
+  const lastActivity = Math.max(
+    status.lastCommit ? new Date(status.lastCommit).getTime() : 0,
+    mtime(path.join(repoDir, '.git', 'logs', 'HEAD'))
+  );
+
+  const blockers = [];
+  if (status.changes === null) {
+    blockers.push('could not check for uncommitted changes');
+  } else if (status.changes > 0) {
+    blockers.push('uncommitted changes');
+  }
+  if (!unpushed.ok) {
+    blockers.push('could not check for unpushed commits');
+  } else if (Number(unpushed.stdout) > 0) {
+    blockers.push(`${unpushed.stdout} unpushed commit${unpushed.stdout === '1' ? '' : 's'}`);
+  }
+  if (status.stashes > 0) {
+    blockers.push(`${status.stashes} stash${status.stashes === 1 ? '' : 'es'}`);
+  }
+
+  return {
+    ...status,
+    unpushed: unpushed.ok ? Number(unpushed.stdout) : null,
+    lastActivity: lastActivity ? new Date(lastActivity).toISOString() : null,
+    blockers,
+  };
+}
+
+function run(command, args, cwd) {
+  const result = spawnSync(command, args, { cwd, encoding: 'utf8' });
+  if (result.error) {
+    throw new Error(`${command}: ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    const lines = String(result.stderr).trim().split('\n');
+    throw new Error(`${command} ${args[0]} failed: ${lines[lines.length - 1]}`);
+  }
+  return result.stdout;
+}
+
+// A path in the archive folder that isn't taken yet
+function archivePath(archiveDir, relativePath, extension) {
+  const base = path.join(archiveDir, relativePath);
+  let candidate = `${base}${extension}`;
+  for (let i = 2; fs.existsSync(candidate); i++) {
+    candidate = `${base}-${i}${extension}`;
+  }
+  return candidate;
+}
+
+// Archives a repository into `archiveDir` (keeping its path relative to the
+// projects directory) and removes it once the archive has been checked.
+// "tar" keeps the whole working copy; "mirror" keeps only the git history.
+// Returns the path of the archive.
+function archiveRepository(repoDir, relativePath, archiveDir, format) {
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    throw new Error(`Unknown archive format "${format}"`);
+  }
+
+  const target = archivePath(archiveDir, relativePath, format === 'tar' ? '.tar.gz' : '.git');
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+
+  try {
+    if (format === 'tar') {
+      run('tar', ['-czf', target, '-C', path.dirname(repoDir), path.basename(repoDir)]);
+      run('tar', ['-tzf', target]);
+    } else {
+      run('git', ['clone', '--quiet', '--mirror', repoDir, target]);
+      run('git', ['fsck', '--no-progress', '--connectivity-only'], target);
+    }
+  } catch (err) {
+    // Never remove the repository without a good archive
+    removeDir(target);
+    throw err;
+  }
+
+  removeDir(repoDir);
+  return target;
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  archiveRepository,
+  inspectRepository,
+};
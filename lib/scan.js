@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeGitUrl } = require('./git-url');
+
+const DEFAULT_SCAN_DEPTH = 4;
+// Cached scan results are reused for this long before walking the tree again
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Dependency folders: never hold repositories of their own but can be huge
+const SKIP_DIRS = new Set([
+  'node_modules',
+  'bower_components',
+  'venv',
+  '.venv',
+  '__pycache__',
+]);
+
+// Build output and tool folders. Only skipped inside a repository: outside
+// one the same names can be an owner or a repository, e.g. github.com/target/app
+const BUILD_DIRS = new Set([
+  'vendor',
+  'target',
+  'build',
+  'dist',
+  '.cache',
+  '.next',
+  '.gradle',
+  '.idea',
+  '.vscode',
+]);
+
+// Whether a walk of the projects directory leaves out the folder `name`
+function isSkippedDir(name, insideRepository = false) {
+  return SKIP_DIRS.has(name) || (insideRepository && BUILD_DIRS.has(name));
+}
+
+// The .git directory of a working copy; worktrees and submodules use a
+// ".git" file that points at the real one.
+function resolveGitDir(repoDir) {
+  const dotGit = path.join(repoDir, '.git');
+  try {
+    const stat = fs.statSync(dotGit);
+    if (stat.isDirectory()) {
+      return dotGit;
+    }
+    const match = fs.readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+)$/m);
+    return match ? path.resolve(repoDir, match[1].trim()) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function isRepository(dir) {
+  return fs.existsSync(path.join(dir, '.git'));
+}
+
+// Walk `root` up to `maxDepth` levels and return every working copy found.
+// Repositories aren't descended into.
+function findRepositories(root, options = {}) {
+  const maxDepth = options.maxDepth === undefined ? DEFAULT_SCAN_DEPTH : options.maxDepth;
+  const repos = [];
+
+  const walk = (dir, depth) => {
+    let items;
+    try {
+      items = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+
+    for (const item of items) {
+      if (!item.isDirectory() || item.name.startsWith('.')) {
+        continue;
+      }
+      const child = path.join(dir, item.name);
+      if (isRepository(child)) {
+        repos.push(child);
+      } else if (depth < maxDepth && !isSkippedDir(item.name)) {
+        walk(child, depth + 1);
+      }
+    }
+  };
+
+  if (maxDepth > 0) {
+    walk(root, 1);
+  }
+  return repos;
+}
+
+// Remote URLs from a repository's config, e.g. { origin: 'git@github.com:a/b.git' }
+function readRemotes(repoDir) {
+  const gitDir = resolveGitDir(repoDir);
+  if (!gitDir) {
+    return {};
+  }
+
+  // Worktrees keep their config in the main repository
+  let configFile = path.join(gitDir, 'config');
+  const commonDirFile = path.join(gitDir, 'commondir');
+  if (fs.existsSync(commonDirFile)) {
+    configFile = path.join(path.resolve(gitDir, fs.readFileSync(commonDirFile, 'utf8').trim()), 'config');
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(configFile, 'utf8');
+  } catch (err) {
+    return {};
+  }
+
+  const remotes = {};
+  let current = null;
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const section = line.match(/^\[\s*remote\s+"([^"]+)"\s*\]$/i);
+    if (section) {
+      current = section[1];
+    } else if (line.startsWith('[')) {
+      current = null;
+    } else if (current && !remotes[current]) {
+      const url = line.match(/^url\s*=\s*(.+)$/i);
+      if (url) {
+        remotes[current] = url[1].replace(/^"(.*)"$/, '$1');
+      }
+    }
+  }
+  return remotes;
+}
+
+function configMtime(repoDir) {
+  try {
+    const gitDir = resolveGitDir(repoDir);
+    return gitDir ? fs.statSync(path.join(gitDir, 'config')).mtimeMs : 0;
+  } catch (err) {
+    return 0;
+  }
+}
+
+function readCache(cacheFile) {
+  try {
+    return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Every repository under `root` with its remotes. The walk is cached in
+// `cacheFile`; cached entries are re-read only when their config changed.
+function scanRepositories(root, options = {}) {
+  const maxDepth = options.maxDepth === undefined ? DEFAULT_SCAN_DEPTH : options.maxDepth;
+  const resolvedRoot = path.resolve(root);
+  const cache = options.cacheFile ? readCache(options.cacheFile) : null;
+  const fresh = cache &&
+    cache.root === resolvedRoot &&
+    cache.maxDepth === maxDepth &&
+    Date.now() - cache.scannedAt < CACHE_TTL_MS &&
+    !options.refresh;
+
+  const cached = new Map((cache && Array.isArray(cache.repos) ? cache.repos : []).map(repo => [repo.path, repo]));
+  const repoPaths = fresh
+    ? [...cached.keys()].filter(isRepository)
+    : findRepositories(resolvedRoot, { maxDepth });
+
+  const repos = repoPaths.map((repoPath) => {
+    const mtime = configMtime(repoPath);
+    const previous = cached.get(repoPath);
+    if (previous && previous.mtime === mtime) {
+      return previous;
+    }
+    return { path: repoPath, mtime, remotes: readRemotes(repoPath) };
+  });
+
+  if (options.cacheFile) {
+    try {
+      fs.mkdirSync(path.dirname(options.cacheFile), { recursive: true });
+      fs.writeFileSync(options.cacheFile, JSON.stringify({
+        root: resolvedRoot,
+        maxDepth,
+        scannedAt: fresh ? cache.scannedAt : Date.now(),
+        repos,
+      }), 'utf8');
+    } catch (err) {
+      // The cache only speeds things up
+    }
+  }
+
+  return repos;
+}
+
+// Repositories under `root` that have a remote pointing at `url`
+function findClonesOf(url, root, options = {}) {
+  const key = normalizeGitUrl(url, options);
+  if (!key) {
+    return [];
+  }
+
+  return scanRepositories(root, options)
+    .filter(repo => Object.values(repo.remotes).some(remote => normalizeGitUrl(remote, options) === key))
+    .map(repo => repo.path);
+}
+
+module.exports = {
+  DEFAULT_SCAN_DEPTH,
+  SKIP_DIRS,
+  findClonesOf,
+  findRepositories,
+  isSkippedDir,
+  readRemotes,
+  scanRepositories,
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { removeDir } = require('./move');
+
+// Clones are made in a temporary folder next to the target and only moved
+// into place once they succeeded. A staged clone remembers which folders it
+// created, so a failed or interrupted clone can remove exactly those and
+// never a folder that was there before.
+
+// Creates the missing parent folders of `targetDir` and an empty temporary
+// folder beside it. Returns the staged clone to pass to commitClone or
+// discardClone.
+function prepareClone(targetDir) {
+  if (fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0) {
+    throw new Error(`destination path '${targetDir}' already exists and is not an empty directory`);
+  }
+
+  const staging = { targetDir, tempDir: null, created: [], committed: false, cleanup: null };
+
+  // Find the missing folders top-down so they are removed bottom-up later
+  const missing = [];
+  for (let dir = path.dirname(targetDir); !fs.existsSync(dir); dir = path.dirname(dir)) {
+    missing.unshift(dir);
+  }
+  try {
+    for (const dir of missing) {
+      fs.mkdirSync(dir);
+      staging.created.push(dir);
+    }
+    // Hidden, so scans and the folder picker don't list it
+    staging.tempDir = fs.mkdtempSync(path.join(path.dirname(targetDir), `.${path.basename(targetDir)}.clone-`));
+  } catch (err) {
+    discardClone(staging);
+    throw err;
+  }
+  return staging;
+}
+
+// Moves a finished clone to its target. An empty folder already at the
+// target is replaced.
+function commitClone(staging) {
+  if (fs.existsSync(staging.targetDir)) {
+    fs.rmdirSync(staging.targetDir);
+  }
+  // mkdtemp makes the folder private (0700); give the clone the permissions
+  // git would have created it with
+  fs.chmodSync(staging.tempDir, 0o777 & ~process.umask());
+  fs.renameSync(staging.tempDir, staging.targetDir);
+  staging.committed = true;
+}
+
+// Removes the temporary folder and the parent folders the clone created.
+// A created folder that isn't empty any more (something else was put there
+// meanwhile) is kept. Returns { partial, removed, kept }: the temporary
+// folder if it was removed, and the created folders that were removed or
+// kept. Discarding the same clone again returns the same result.
+function discardClone(staging) {
+  if (staging.cleanup) {
+    return staging.cleanup;
+  }
+  const result = { partial: null, removed: [], kept: [] };
+  if (staging.committed) {
+    return result;
+  }
+
+  if (staging.tempDir && fs.existsSync(staging.tempDir)) {
+    try {
+      removeDir(staging.tempDir);
+      result.partial = staging.tempDir;
+    } catch (err) {
+      result.kept.push(staging.tempDir);
+    }
+  }
+
+  for (const dir of [...staging.created].reverse()) {
+    try {
+      fs.rmdirSync(dir);
+      result.removed.push(dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        result.kept.push(dir);
+      }
+    }
+  }
+  staging.cleanup = result;
+  return result;
+}
+
+module.exports = {
+  commitClone,
+  discardClone,
+  prepareClone,
+};
@@ -0,0 +1,41 @@
+const { git } = require('./git');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DURATION_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+// "90d", "2w", "6m" or "1y" in milliseconds, or null when it can't be parsed
+function parseDuration(text) {
+  const match = /^(\d+)\s*([dwmy])$/i.exec(String(text).trim());
+  return match ? Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()] * DAY_MS : null;
+}
+
+// Branch, working tree state, ahead/behind counts against the upstream
+// branch, stash count and last commit date of one working copy.
+// `ahead` and `behind` are null when the branch has no upstream, `changes`
+// when git status fails.
+async function repositoryStatus(repoDir) {
+  const [branch, changes, counts, stashes, lastCommit] = await Promise.all([
+    git(repoDir, ['rev-parse', '--abbrev-ref', 'HEAD']),
+    git(repoDir, ['status', '--porcelain']),
+    git(repoDir, ['rev-list', '--left-right', '--count', 'HEAD...@{upstream}']),
+    git(repoDir, ['stash', 'list']),
+    git(repoDir, ['log', '-1', '--format=%cI']),
+  ]);
+
+  const [ahead, behind] = counts.ok ? counts.stdout.split(/\s+/).map(Number) : [null, null];
+  return {
+    path: repoDir,
+    // A fresh repository without commits has no HEAD to resolve
+    branch: branch.ok ? branch.stdout : null,
+    changes: changes.ok ? (changes.stdout ? changes.stdout.split('\n').length : 0) : null,
+    ahead,
+    behind,
+    stashes: stashes.ok && stashes.stdout ? stashes.stdout.split('\n').length : 0,
+    lastCommit: lastCommit.ok && lastCommit.stdout ? lastCommit.stdout : null,
+  };
+}
+
+module.exports = {
+  parseDuration,
+  repositoryStatus,
+};
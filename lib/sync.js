@@ -0,0 +1,82 @@
+const { git } = require('./git');
+
+// Fetch errors that mean the repository itself is gone, not the network
+const MISSING_REMOTE = [
+  /repository .*not found/i,
+  /does not appear to be a git repository/i,
+  /the requested URL returned error: 404/i,
+  /project you were looking for could not be found/i,
+];
+
+function lastLine(text) {
+  const lines = text.split('\n').filter(Boolean);
+  return lines.length > 0 ? lines[lines.length - 1] : '';
+}
+
+// The branch origin/HEAD points at, falling back to the upstream of the
+// current branch for clones made before origin/HEAD was set
+async function defaultBranch(repoDir) {
+  const head = await git(repoDir, ['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD']);
+  if (head.ok && head.stdout.startsWith('origin/')) {
+    return head.stdout.slice('origin/'.length);
+  }
+  const upstream = await git(repoDir, ['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}']);
+  return upstream.ok && upstream.stdout.startsWith('origin/') ? upstream.stdout.slice('origin/'.length) : null;
+}
+
+// Fetches a working copy and fast-forwards its default branch when that is
+// checked out and clean. Nothing else in the working copy is changed.
+// Resolves to { status, branch, ahead, behind, message } where status is one of
+// updated, up-to-date, fetched, dirty, ahead, diverged, removed or failed.
+async function syncRepository(repoDir) {
+  const fetched = await git(repoDir, ['fetch', '--all', '--prune', '--quiet']);
+  if (!fetched.ok) {
+    const message = lastLine(fetched.stderr) || 'git fetch failed';
+    const removed = MISSING_REMOTE.some(pattern => pattern.test(fetched.stderr));
+    return { status: removed ? 'removed' : 'failed', branch: null, message };
+  }
+
+  const current = await git(repoDir, ['rev-parse', '--abbrev-ref', 'HEAD']);
+  const branch = current.ok ? current.stdout : null;
+  const base = await defaultBranch(repoDir);
+
+  const changes = await git(repoDir, ['status', '--porcelain']);
+  // A failed status prints nothing, which must not pass as clean
+  if (!changes.ok) {
+    return { status: 'failed', branch, message: lastLine(changes.stderr) || 'git status failed' };
+  }
+  if (changes.stdout) {
+    return { status: 'dirty', branch, message: 'local changes' };
+  }
+
+  if (!base || branch !== base) {
+    return { status: 'fetched', branch, message: base ? `on ${branch}, not ${base}` : 'no default branch' };
+  }
+
+  const counts = await git(repoDir, ['rev-list', '--left-right', '--count', `HEAD...origin/${base}`]);
+  if (!counts.ok) {
+    return { status: 'failed', branch, message: lastLine(counts.stderr) };
+  }
+  const [ahead, behind] = counts.stdout.split(/\s+/).map(Number);
+
+  if (ahead > 0 && behind > 0) {
+    return { status: 'diverged', branch, ahead, behind, message: `${ahead} ahead, ${behind} behind origin/${base}` };
+  }
+  if (ahead > 0) {
+    return { status: 'ahead', branch, ahead, behind, message: `${ahead} ahead of origin/${base}` };
+  }
+  if (behind === 0) {
+    return { status: 'up-to-date', branch, ahead, behind, message: '' };
+  }
+
+  const merged = await git(repoDir, ['merge', '--ff-only', '--quiet', `origin/${base}`]);
+  if (!merged.ok) {
+    return { status: 'failed', branch, ahead, behind, message: lastLine(merged.stderr) };
+  }
+  return { status: 'updated', branch, ahead, behind, message: `fast-forwarded ${behind} commit${behind === 1 ? '' : 's'}` };
+}
+
+module.exports = {
+  defaultBranch,
+  syncRepository,
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { removeDir } = require('./move');
+
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+// "{{name}}", with or without spaces inside the braces
+const PLACEHOLDER = /\{\{\s*([A-Za-z][\w-]*)\s*\}\}/g;
+// Larger files are assets or generated, not something to fill in
+const MAX_SUBSTITUTE_BYTES = 1024 * 1024;
+// Never touched: dependencies and other repositories
+const SKIPPED_DIRS = new Set(['.git', 'node_modules']);
+
+function fillPlaceholders(text, values) {
+  return text.replace(PLACEHOLDER, (placeholder, key) => (
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder
+  ));
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// Replaces placeholders such as {{name}} with `values` in the contents and
+// names of every file and folder under `dir`. Unknown placeholders are left
+// alone. Returns { files, renamed }: the number of files changed and paths
+// renamed.
+function substitutePlaceholders(dir, values) {
+  const counts = { files: 0, renamed: 0 };
+
+  const walk = (current) => {
+    for (const item of fs.readdirSync(current, { withFileTypes: true })) {
+      if (item.isDirectory() && SKIPPED_DIRS.has(item.name)) {
+        continue;
+      }
+      let itemPath = path.join(current, item.name);
+
+      const newName = fillPlaceholders(item.name, values);
+      if (newName !== item.name) {
+        const newPath = path.join(current, newName);
+        if (fs.existsSync(newPath)) {
+          throw new TemplateError(`Cannot rename ${path.relative(dir, itemPath)}: ${path.relative(dir, newPath)} already exists`);
+        }
+        fs.renameSync(itemPath, newPath);
+        itemPath = newPath;
+        counts.renamed++;
+      }
+
+      if (item.isDirectory()) {
+        walk(itemPath);
+      } else if (item.isFile() && fs.statSync(itemPath).size <= MAX_SUBSTITUTE_BYTES) {
+        const content = fs.readFileSync(itemPath);
+        if (isBinary(content)) {
+          continue;
+        }
+        const text = content.toString('utf8');
+        const filled = fillPlaceholders(text, values);
+        if (filled !== text) {
+          fs.writeFileSync(itemPath, filled);
+          counts.files++;
+        }
+      }
+    }
+  };
+
+  walk(dir);
+  return counts;
+}
+
+function git(args, dir) {
+  const result = spawnSync('git', args, { cwd: dir, encoding: 'utf8' });
+  if (result.error) {
+    throw new TemplateError(`git ${args[0]} failed: ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    throw new TemplateError((result.stderr || '').trim() || `git ${args[0]} failed with exit code ${result.status}`);
+  }
+  return result.stdout;
+}
+
+// Throws TemplateError unless git knows who to commit as in `dir`, with the
+// [key, value] pairs of `gitConfig` applied
+function checkGitIdentity(dir, gitConfig = []) {
+  const configArgs = gitConfig.reduce((args, [key, value]) => args.concat('-c', `${key}=${value}`), []);
+  const identityMissing = ['GIT_AUTHOR_IDENT', 'GIT_COMMITTER_IDENT'].some((variable) => {
+    const result = spawnSync('git', [...configArgs, 'var', variable], { cwd: dir, encoding: 'utf8' });
+    return result.error || result.status !== 0;
+  });
+  if (identityMissing) {
+    throw new TemplateError('Git needs a name and email for the initial commit. Set user.name and user.email, or an "identity" in the config.');
+  }
+}
+
+// Turns the clone in `dir` into a new project: its history is removed, the
+// placeholders are filled in (unless `options.values` is null), and a new
+// repository is created with everything in one initial commit.
+//
+// Options:
+//   values     placeholder values, e.g. { name: 'my-app' }
+//   message    message of the initial commit
+//   gitConfig  [key, value] pairs to set in the new repository first
+//   origin     URL to add as the "origin" remote
+//
+// Returns { files, renamed, commit }. Throws TemplateError, before anything
+// is changed when git doesn't know who to commit as.
+function createFromTemplate(dir, options = {}) {
+  checkGitIdentity(dir, options.gitConfig);
+
+  removeDir(path.join(dir, '.git'));
+
+  const counts = options.values ? substitutePlaceholders(dir, options.values) : { files: 0, renamed: 0 };
+
+  git(['init', '--quiet'], dir);
+  (options.gitConfig || []).forEach(([key, value]) => git(['config', key, value], dir));
+  git(['add', '--all'], dir);
+  git(['commit', '--quiet', '--no-verify', '--allow-empty', '-m', options.message || 'Initial commit'], dir);
+  if (options.origin) {
+    git(['remote', 'add', 'origin', options.origin], dir);
+  }
+
+  return { ...counts, commit: git(['rev-parse', '--short', 'HEAD'], dir).trim() };
+}
+
+module.exports = {
+  TemplateError,
+  checkGitIdentity,
+  createFromTemplate,
+  substitutePlaceholders,
+};
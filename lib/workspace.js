@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, getConfigPath, readConfigFile, readLocalConfig } = require('./config');
+const { validatePathWithinProjectsDir } = require('./destination');
+
+// The top-level projectsDir acts as the workspace named "default"
+const DEFAULT_WORKSPACE = 'default';
+
+function expandHome(dir) {
+  return dir.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+function getDefaultProjectsDir() {
+  const homeDir = os.homedir();
+  // Platform-specific defaults
+  if (process.platform === 'win32') {
+    return path.join(homeDir, 'Projects');
+  }
+  // macOS/Linux: Try Developer/Projects first, fallback to Projects
+  const developerProjects = path.join(homeDir, 'Developer', 'Projects');
+  if (fs.existsSync(path.join(homeDir, 'Developer'))) {
+    return developerProjects;
+  }
+  return path.join(homeDir, 'Projects');
+}
+
+function listWorkspaces(config) {
+  const workspaces = {};
+  if (config.projectsDir) {
+    workspaces[DEFAULT_WORKSPACE] = { projectsDir: config.projectsDir };
+  }
+  if (config.workspaces && typeof config.workspaces === 'object') {
+    Object.entries(config.workspaces)
+      .filter(([, workspace]) => workspace && workspace.projectsDir)
+      .forEach(([name, workspace]) => {
+        workspaces[name] = workspace;
+      });
+  }
+  return workspaces;
+}
+
+function getDefaultWorkspace(config) {
+  const workspaces = listWorkspaces(config);
+  if (config.defaultWorkspace && workspaces[config.defaultWorkspace]) {
+    return config.defaultWorkspace;
+  }
+  return Object.keys(workspaces)[0] || null;
+}
+
+// Settings for one workspace: anything it sets (layout, rules, hooks, ...)
+// replaces the top-level value
+function applyWorkspace(config, name) {
+  const workspace = listWorkspaces(config)[name];
+  if (!workspace) {
+    return config;
+  }
+  return {
+    ...config,
+    ...workspace,
+    workspace: name,
+    projectsDir: path.resolve(expandHome(workspace.projectsDir)),
+  };
+}
+
+// The name of the workspace whose projects directory contains `dir`, if any
+function findWorkspaceFor(dir, config) {
+  const match = Object.entries(listWorkspaces(config))
+    .find(([, workspace]) => validatePathWithinProjectsDir(dir, path.resolve(expandHome(workspace.projectsDir))));
+  return match ? match[0] : null;
+}
+
+// A .git-clone-select.json near the current directory is the most specific
+// source of settings, so it wins over the workspace
+function applyLocalOverrides(config, local) {
+  return local ? { ...config, ...local.config } : config;
+}
+
+// The settings that apply to `options.workspace` (or the default workspace)
+// from `options.cwd` (or the current directory), the way the CLI uses them.
+// Returns { config, projectsDir }; projectsDir is null when nothing is
+// configured. Throws ConfigError for an invalid config or unknown workspace.
+function loadConfig(options = {}) {
+  const config = readConfigFile(getConfigPath().configFile);
+  const local = readLocalConfig(options.cwd || process.cwd());
+
+  const workspaces = listWorkspaces(config);
+  if (options.workspace && !workspaces[options.workspace]) {
+    throw new ConfigError(`Unknown workspace "${options.workspace}". Available: ${Object.keys(workspaces).join(', ') || 'none'}`);
+  }
+
+  const merged = applyLocalOverrides(applyWorkspace(config, options.workspace || getDefaultWorkspace(config)), local);
+  const projectsDir = process.env.GIT_CLONE_PROJECTS_DIR || merged.projectsDir;
+  return { config: merged, projectsDir: projectsDir ? path.resolve(expandHome(projectsDir)) : null };
+}
+
+module.exports = {
+  DEFAULT_WORKSPACE,
+  applyLocalOverrides,
+  applyWorkspace,
+  expandHome,
+  findWorkspaceFor,
+  getDefaultProjectsDir,
+  getDefaultWorkspace,
+  listWorkspaces,
+  loadConfig,
+};
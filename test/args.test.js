@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { UsageError, list, parseArgs, positiveInteger } = require('../lib/args');
+
+const spec = {
+  name: 'clone',
+  positionals: [{ key: 'url', name: '<git-url>' }],
+  passthrough: 'clone.args',
+  defaults: () => ({ open: true }),
+  options: [
+    { flags: ['-y', '--yes'], key: 'yes' },
+    { flags: ['--no-open'], key: 'open', set: false },
+    { flags: ['-j', '--jobs'], value: '<n>', key: 'jobs', parse: positiveInteger },
+    { flags: ['-b', '--branch'], value: '<name>', key: 'clone.branch' },
+    { flags: ['--format'], value: '<format>', key: 'format', choices: ['tar', 'mirror'] },
+    { flags: ['--json'], value: '[format]', key: 'json', choices: ['pretty', 'lines'], optional: true },
+    { flags: ['--sparse'], value: '<paths>', key: 'clone.sparse', parse: list, repeat: true },
+  ],
+};
+
+test('parseArgs fills in defaults, switches, values and positionals', () => {
+  assert.deepStrictEqual(parseArgs(['gh:owner/repo', '--no-open', '-b', 'main', '--jobs=4'], spec), {
+    open: false,
+    url: 'gh:owner/repo',
+    clone: { branch: 'main' },
+    jobs: 4,
+  });
+});
+
+test('parseArgs expands grouped short flags', () => {
+  assert.deepStrictEqual(parseArgs(['-yj4'], spec), { open: true, yes: true, jobs: 4 });
+  assert.deepStrictEqual(parseArgs(['-yj', '4'], spec), { open: true, yes: true, jobs: 4 });
+  assert.deepStrictEqual(parseArgs(['-j4', '-bmain'], spec), { open: true, jobs: 4, clone: { branch: 'main' } });
+  assert.throws(() => parseArgs(['-y4'], spec), /Unknown option for clone: -y4/);
+});
+
+test('parseArgs collects repeated values and passes arguments after --', () => {
+  const options = parseArgs(['--sparse', 'docs,src', '--sparse', 'test', 'url', '--', '--filter=blob:none'], spec);
+  assert.deepStrictEqual(options.clone, { sparse: ['docs', 'src', 'test'], args: ['--filter=blob:none'] });
+});
+
+test('parseArgs takes an optional value only when it is a choice', () => {
+  assert.strictEqual(parseArgs(['--json'], spec).json, 'pretty');
+  assert.strictEqual(parseArgs(['--json', 'lines'], spec).json, 'lines');
+  assert.deepStrictEqual(parseArgs(['--json', 'gh:a/b'], spec), { open: true, json: 'pretty', url: 'gh:a/b' });
+});
+
+test('parseArgs explains what is wrong', () => {
+  const fails = (args, message) => assert.throws(() => parseArgs(args, spec), error => error instanceof UsageError && message.test(error.message));
+  fails(['--jobz', '2'], /Unknown option for clone: --jobz\. Did you mean --jobs\?/);
+  fails(['--jobs'], /Missing value for --jobs/);
+  fails(['--jobs', '0'], /--jobs expects a positive number/);
+  fails(['--format', 'zip'], /--format expects one of: tar, mirror/);
+  fails(['--yes=1'], /--yes does not take a value/);
+  fails(['a', 'b'], /Unexpected argument: b/);
+});
+
+test('parseArgs sets help', () => {
+  assert.strictEqual(parseArgs(['-h'], spec).help, true);
+});
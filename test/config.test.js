@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CONFIG_VERSION,
+  ConfigError,
+  migrateConfig,
+  readConfigFile,
+  readLocalConfig,
+  validateConfig,
+  writeConfigFile,
+} = require('../lib/config');
+
+const tempDirs = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-clone-select-test-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('validateConfig accepts a full config', () => {
+  assert.deepStrictEqual(validateConfig({
+    version: CONFIG_VERSION,
+    projectsDir: '~/Projects',
+    layout: '{owner}/{repo}',
+    rules: [{ match: 'github.com/acme/**', path: 'acme', hooks: ['npm ci'], identity: { sshHost: 'github-work' } }],
+    clone: { depth: 1, sparse: ['docs'] },
+    workspaces: { work: { projectsDir: '~/Work', editor: 'code' } },
+    scanDepth: 0,
+  }), []);
+});
+
+test('validateConfig reports every problem with its setting', () => {
+  assert.deepStrictEqual(validateConfig({
+    projectsDir: 1,
+    clone: { depth: 0, colour: true },
+    rules: [{ path: 'x' }],
+    protocol: 'ftp',
+    workspaces: { work: {} },
+  }), [
+    'projectsDir: expected a string, got a number',
+    'clone.depth: must be at least 1',
+    'clone.colour: unknown setting',
+    'rules[0].match: is required',
+    'protocol: must be one of ssh, https',
+    'workspaces.work.projectsDir: is required',
+  ]);
+});
+
+test('migrateConfig upgrades unversioned configs and refuses newer ones', () => {
+  assert.deepStrictEqual(migrateConfig({ projectsDir: '/p' }), {
+    config: { version: CONFIG_VERSION, projectsDir: '/p' },
+    migrated: true,
+  });
+  assert.strictEqual(migrateConfig({ version: CONFIG_VERSION }).migrated, false);
+  assert.throws(() => migrateConfig({ version: CONFIG_VERSION + 1 }), /newer version/);
+  assert.throws(() => migrateConfig({ version: 'two' }), ConfigError);
+});
+
+test('readConfigFile rewrites an old config and keeps a backup', () => {
+  const configFile = path.join(tempDir(), 'config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ projectsDir: '/p' }));
+
+  assert.deepStrictEqual(readConfigFile(configFile), { version: CONFIG_VERSION, projectsDir: '/p' });
+  assert.strictEqual(JSON.parse(fs.readFileSync(configFile, 'utf8')).version, CONFIG_VERSION);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(`${configFile}.bak`, 'utf8')), { projectsDir: '/p' });
+});
+
+test('readConfigFile reports invalid JSON with its line', () => {
+  const configFile = path.join(tempDir(), 'config.json');
+  fs.writeFileSync(configFile, '{\n  "projectsDir": "/p",\n}');
+  assert.throws(() => readConfigFile(configFile), /line 3/);
+});
+
+test('writeConfigFile refuses to save an invalid config', () => {
+  const configFile = path.join(tempDir(), 'config.json');
+  assert.throws(() => writeConfigFile(configFile, { projectsDir: 1 }), ConfigError);
+  assert.strictEqual(fs.existsSync(configFile), false);
+
+  assert.strictEqual(writeConfigFile(configFile, { projectsDir: '/p' }).version, CONFIG_VERSION);
+});
+
+test('readLocalConfig finds the nearest file and resolves projectsDir from it', (t) => {
+  const home = tempDir();
+  t.mock.method(os, 'homedir', () => home);
+  fs.mkdirSync(path.join(home, 'a', 'b'), { recursive: true });
+  fs.writeFileSync(path.join(home, 'a', '.git-clone-select.json'), JSON.stringify({ projectsDir: 'repos', layout: '{repo}' }));
+
+  const local = readLocalConfig(path.join(home, 'a', 'b'));
+  assert.strictEqual(local.file, path.join(home, 'a', '.git-clone-select.json'));
+  assert.deepStrictEqual(local.config, { projectsDir: path.join(home, 'a', 'repos'), layout: '{repo}' });
+});
+
+test('readLocalConfig refuses settings that run commands', (t) => {
+  const home = tempDir();
+  t.mock.method(os, 'homedir', () => home);
+  const write = config => fs.writeFileSync(path.join(home, '.git-clone-select.json'), JSON.stringify(config));
+
+  for (const config of [
+    { hooks: ['make'] },
+    { editor: 'code' },
+    { identity: { sshCommand: 'ssh -i key' } },
+    { clone: { args: ['--config=core.fsmonitor=evil'] } },
+    { rules: [{ match: '**', hooks: ['make'] }] },
+    { projectsDir: os.tmpdir() },
+  ]) {
+    write(config);
+    assert.throws(() => readLocalConfig(home), ConfigError, JSON.stringify(config));
+  }
+
+  write({ clone: { depth: 1 }, rules: [{ match: '**', path: 'all' }], defaultHost: 'gitlab.com' });
+  assert.ok(readLocalConfig(home));
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { DestinationError, resolveDestination } = require('../lib/destination');
+
+const projectsDir = path.resolve('/projects');
+
+test('resolveDestination puts a clone straight into the projects directory', () => {
+  assert.strictEqual(resolveDestination('https://github.com/owner/repo.git', { projectsDir }), path.join(projectsDir, 'repo'));
+});
+
+test('resolveDestination uses dest and name', () => {
+  const url = 'git@github.com:owner/repo.git';
+  assert.strictEqual(resolveDestination(url, { projectsDir, dest: 'work/acme' }), path.join(projectsDir, 'work', 'acme', 'repo'));
+  assert.strictEqual(resolveDestination(url, { projectsDir, dest: 'work', name: ' app ' }), path.join(projectsDir, 'work', 'app'));
+});
+
+test('resolveDestination follows the layout and the first matching rule', () => {
+  const config = {
+    layout: '{host}/{owner}/{repo}',
+    rules: [
+      { match: 'github.com/acme/**', path: 'acme/{repo}' },
+      { match: 'github.com/**', path: 'gh' },
+    ],
+  };
+  assert.strictEqual(resolveDestination('gh:acme/api', { projectsDir, config }), path.join(projectsDir, 'acme', 'api'));
+  assert.strictEqual(resolveDestination('gh:other/api', { projectsDir, config }), path.join(projectsDir, 'gh', 'api'));
+  assert.strictEqual(resolveDestination('gl:group/api', { projectsDir, config }), path.join(projectsDir, 'gitlab.com', 'group', 'api'));
+  // The name replaces the repository in the layout
+  assert.strictEqual(resolveDestination('gl:group/api', { projectsDir, config, name: 'svc' }), path.join(projectsDir, 'gitlab.com', 'group', 'svc'));
+});
+
+test('resolveDestination ignores the layout when dest is given', () => {
+  const config = { layout: '{owner}/{repo}' };
+  assert.strictEqual(resolveDestination('gh:owner/repo', { projectsDir, config, dest: '.' }), path.join(projectsDir, 'repo'));
+});
+
+test('resolveDestination rejects bad names and paths outside the projects directory', () => {
+  const url = 'gh:owner/repo';
+  assert.throws(() => resolveDestination(url, { projectsDir, name: 'a/b' }), DestinationError);
+  assert.throws(() => resolveDestination(url, { projectsDir, name: '  ' }), DestinationError);
+  assert.throws(() => resolveDestination(url, { projectsDir, dest: '../elsewhere' }), DestinationError);
+  assert.throws(() => resolveDestination(url, { projectsDir, config: { layout: '../{repo}' } }), DestinationError);
+});
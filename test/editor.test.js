@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  NO_EDITOR,
+  TERMINAL_EDITOR,
+  detectEditors,
+  findExecutable,
+  formatEditorCommand,
+  openInEditor,
+  resolveEditor,
+} = require('../lib/editor');
+const { tempDir, withEnv } = require('./helpers');
+
+// A PATH holding only the given commands, each a script that does nothing
+function withCommands(t, commands) {
+  const bin = tempDir(t);
+  commands.forEach(command => fs.writeFileSync(path.join(bin, command), '#!/bin/sh\n', { mode: 0o755 }));
+  withEnv(t, { PATH: bin, VISUAL: undefined, EDITOR: undefined });
+  return bin;
+}
+
+test('findExecutable looks commands up on PATH', (t) => {
+  const bin = withCommands(t, ['zed']);
+  fs.writeFileSync(path.join(bin, 'notes'), '', { mode: 0o644 });
+  fs.mkdirSync(path.join(bin, 'folder'));
+
+  assert.strictEqual(findExecutable('zed'), path.join(bin, 'zed'));
+  assert.strictEqual(findExecutable('notes'), null);
+  assert.strictEqual(findExecutable('folder'), null);
+  assert.strictEqual(findExecutable('missing'), null);
+  assert.strictEqual(findExecutable(path.join(bin, 'zed')), path.join(bin, 'zed'));
+  assert.strictEqual(findExecutable(path.join(bin, 'notes')), null);
+});
+
+test('resolveEditor uses the first installed preset when nothing is configured', (t) => {
+  withCommands(t, ['subl', 'zed']);
+  assert.deepStrictEqual(resolveEditor(), { id: 'zed', name: 'Zed', command: 'zed', args: ['{path}'], app: 'Zed', terminal: false });
+});
+
+test('resolveEditor falls back to $VISUAL, then $EDITOR, in the terminal', (t) => {
+  withCommands(t, []);
+  assert.strictEqual(resolveEditor(), null);
+
+  process.env.EDITOR = 'vi';
+  assert.strictEqual(resolveEditor().command, 'vi');
+  process.env.VISUAL = 'nvim -p';
+  assert.deepStrictEqual(resolveEditor(), { id: TERMINAL_EDITOR, name: 'nvim', command: 'nvim', args: ['-p', '{path}'], terminal: true });
+  assert.deepStrictEqual(resolveEditor(TERMINAL_EDITOR), resolveEditor());
+});
+
+test('resolveEditor reads presets, "none" and command templates', (t) => {
+  withCommands(t, []);
+  assert.strictEqual(resolveEditor(NO_EDITOR), null);
+  assert.strictEqual(resolveEditor(TERMINAL_EDITOR), null);
+  assert.strictEqual(resolveEditor(' Code ').name, 'VS Code');
+  assert.deepStrictEqual(resolveEditor('idea --wait "{path}/src"'), {
+    id: 'idea',
+    name: 'IntelliJ IDEA',
+    command: 'idea',
+    args: ['--wait', '{path}/src'],
+    terminal: false,
+  });
+  assert.deepStrictEqual(resolveEditor("'/Applications/My Editor/bin/edit' -n").args, ['-n', '{path}']);
+  assert.strictEqual(resolveEditor('/opt/bin/code.cmd').name, 'VS Code');
+});
+
+test('formatEditorCommand quotes arguments with spaces', () => {
+  const editor = resolveEditor('code --goto "{path}/README.md"');
+  assert.strictEqual(formatEditorCommand(editor, '/p/repo'), 'code --goto /p/repo/README.md');
+  assert.strictEqual(formatEditorCommand(editor, '/p/my repo'), 'code --goto "/p/my repo/README.md"');
+});
+
+test('detectEditors lists installed presets and the terminal editor', (t) => {
+  withCommands(t, ['code', 'cursor', 'vim']);
+  process.env.EDITOR = 'vim';
+  assert.deepStrictEqual(detectEditors().map(editor => editor.id), ['cursor', 'code', TERMINAL_EDITOR]);
+});
+
+test('openInEditor runs a terminal editor with the clone path and waits for it', (t) => {
+  const bin = withCommands(t, []);
+  const output = path.join(bin, 'args.txt');
+  fs.writeFileSync(path.join(bin, 'edit'), `#!/bin/sh\necho "$@" > "${output}"\n`, { mode: 0o755 });
+  fs.writeFileSync(path.join(bin, 'broken'), '#!/bin/sh\nexit 4\n', { mode: 0o755 });
+
+  process.env.VISUAL = 'edit -w';
+  assert.deepStrictEqual(openInEditor(resolveEditor(TERMINAL_EDITOR), '/p/repo'), { ok: true });
+  assert.strictEqual(fs.readFileSync(output, 'utf8'), '-w /p/repo\n');
+
+  process.env.VISUAL = 'broken';
+  assert.deepStrictEqual(openInEditor(resolveEditor(TERMINAL_EDITOR), '/p/repo'), { ok: false, message: 'Editor exited with code 4' });
+});
+
+test('openInEditor reports an editor that is not installed', (t) => {
+  withCommands(t, []);
+  assert.deepStrictEqual(openInEditor(resolveEditor('fleet'), '/p/repo'), { ok: false, message: '"fleet" was not found in PATH' });
+});
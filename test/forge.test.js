@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { ForgeError, createFork, getForge, listRepositories } = require('../lib/forge');
+
+// A forge API on localhost. `routes` maps "METHOD /path" to a function
+// returning { status, headers, body }; every request is recorded in `calls`.
+async function startForge(t, routes) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    calls.push({ method: req.method, url: req.url, headers: req.headers });
+    const route = routes[`${req.method} ${req.url}`];
+    const reply = route ? route(req) : { status: 404, body: { message: 'Not Found' } };
+    res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+    res.end(JSON.stringify(reply.body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const apiUrl = `http://127.0.0.1:${server.address().port}`;
+  return { apiUrl, calls };
+}
+
+function githubRepository(owner, name) {
+  return {
+    full_name: `${owner}/${name}`,
+    name,
+    owner: { login: owner },
+    clone_url: `https://github.com/${owner}/${name}.git`,
+    ssh_url: `git@github.com:${owner}/${name}.git`,
+    default_branch: 'main',
+  };
+}
+
+function applyEnv(values) {
+  Object.entries(values).forEach(([name, value]) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  });
+}
+
+// Sets environment variables for one test
+function withEnv(t, values) {
+  const saved = {};
+  Object.keys(values).forEach((name) => {
+    saved[name] = process.env[name];
+  });
+  applyEnv(values);
+  t.after(() => applyEnv(saved));
+}
+
+test('getForge prefers the environment over a configured token', (t) => {
+  withEnv(t, { GITHUB_TOKEN: undefined, GH_TOKEN: undefined, ACME_TOKEN: undefined });
+  const config = { forges: { 'github.com': { token: 'from-config' } } };
+  assert.strictEqual(getForge('github.com', null, config).token, 'from-config');
+
+  process.env.GH_TOKEN = 'gh';
+  assert.strictEqual(getForge('github.com', null, config).token, 'gh');
+  process.env.GITHUB_TOKEN = 'github';
+  assert.strictEqual(getForge('github.com', null, config).token, 'github');
+
+  // A configured tokenEnv replaces the default variables
+  const custom = { forges: { 'github.com': { tokenEnv: 'ACME_TOKEN', token: 'from-config' } } };
+  assert.strictEqual(getForge('github.com', null, custom).token, 'from-config');
+  process.env.ACME_TOKEN = 'acme';
+  assert.strictEqual(getForge('github.com', null, custom).token, 'acme');
+});
+
+test('getForge uses forge settings by host:port, then host', () => {
+  const config = {
+    forges: {
+      'git.example.com': { type: 'gitea', apiUrl: 'https://git.example.com/api/v1/' },
+      'git.example.com:8443': { type: 'gitlab' },
+    },
+  };
+  assert.strictEqual(getForge('git.example.com', null, config).apiUrl, 'https://git.example.com/api/v1');
+  assert.strictEqual(getForge('git.example.com', 8443, config).type, 'gitlab');
+  assert.strictEqual(getForge('unknown.example.com', null, config), null);
+  assert.strictEqual(getForge('codeberg.org').type, 'gitea');
+});
+
+test('listRepositories follows Link headers across pages', async (t) => {
+  const forge = { type: 'github', token: 'secret' };
+  const { apiUrl, calls } = await startForge(t, {
+    'GET /orgs/acme/repos?per_page=100': () => ({
+      headers: { Link: `<${forge.apiUrl}/orgs/acme/repos?per_page=100&page=2>; rel="next", <${forge.apiUrl}/orgs/acme/repos?per_page=100&page=2>; rel="last"` },
+      body: [githubRepository('acme', 'api'), githubRepository('acme', 'web')],
+    }),
+    'GET /orgs/acme/repos?per_page=100&page=2': () => ({
+      headers: { Link: `<${forge.apiUrl}/orgs/acme/repos?per_page=100>; rel="first"` },
+      body: [githubRepository('acme', 'docs')],
+    }),
+  });
+  forge.apiUrl = apiUrl;
+
+  const repositories = await listRepositories(forge, { org: 'acme' });
+  assert.deepStrictEqual(repositories.map(repository => repository.fullName), ['acme/api', 'acme/web', 'acme/docs']);
+  assert.strictEqual(repositories[0].sshUrl, 'git@github.com:acme/api.git');
+  assert.strictEqual(calls.length, 2);
+  assert.ok(calls.every(call => call.headers.authorization === 'Bearer secret'));
+});
+
+test('listRepositories reports API errors as ForgeError', async (t) => {
+  const { apiUrl } = await startForge(t, {});
+  await assert.rejects(
+    listRepositories({ type: 'gitlab', apiUrl }, { user: 'nobody' }),
+    err => err instanceof ForgeError && err.status === 404 && /Not Found/.test(err.message)
+  );
+});
+
+test('createFork waits until the new fork can be read', async (t) => {
+  let reads = 0;
+  const { apiUrl, calls } = await startForge(t, {
+    'POST /repos/acme/api/forks': () => ({ status: 202, body: githubRepository('me', 'api') }),
+    // Forks are created in the background; the first reads find nothing yet
+    'GET /repos/me/api': () => (++reads < 3 ? { status: 404, body: { message: 'Not Found' } } : { body: githubRepository('me', 'api') }),
+  });
+
+  const fork = await createFork({ type: 'github', apiUrl, token: 'secret', fullName: 'acme/api' }, { delay: 0 });
+  assert.strictEqual(fork.fullName, 'me/api');
+  assert.deepStrictEqual(calls.map(call => `${call.method} ${call.url}`), [
+    'POST /repos/acme/api/forks',
+    'GET /repos/me/api',
+    'GET /repos/me/api',
+    'GET /repos/me/api',
+  ]);
+});
+
+test('createFork gives up when the fork never shows up', async (t) => {
+  const { apiUrl, calls } = await startForge(t, {
+    'POST /repos/acme/api/forks': () => ({ status: 202, body: githubRepository('me', 'api') }),
+  });
+
+  await assert.rejects(
+    createFork({ type: 'github', apiUrl, token: 'secret', fullName: 'acme/api' }, { attempts: 3, delay: 0 }),
+    err => err instanceof ForgeError && err.status === 404
+  );
+  assert.strictEqual(calls.filter(call => call.method === 'GET').length, 3);
+});
+
+test('createFork returns the existing fork when the forge refuses a second one', async (t) => {
+  const { apiUrl, calls } = await startForge(t, {
+    'POST /projects/group%2Fsub%2Fapi/fork': () => ({ status: 409, body: { message: { base: ['Project already forked'] } } }),
+    'GET /user': () => ({ body: { username: 'me' } }),
+    'GET /projects/me%2Fapi': () => ({
+      body: {
+        path_with_namespace: 'me/api',
+        path: 'api',
+        namespace: { full_path: 'me' },
+        http_url_to_repo: 'https://gitlab.com/me/api.git',
+        ssh_url_to_repo: 'git@gitlab.com:me/api.git',
+      },
+    }),
+  });
+
+  const fork = await createFork({ type: 'gitlab', apiUrl, token: 'secret', fullName: 'group/sub/api' }, { delay: 0 });
+  assert.strictEqual(fork.httpsUrl, 'https://gitlab.com/me/api.git');
+  assert.ok(calls.every(call => call.headers['private-token'] === 'secret'));
+});
+
+test('createFork needs a token', async () => {
+  await assert.rejects(
+    createFork({ type: 'github', host: 'github.com', tokenEnv: ['GITHUB_TOKEN', 'GH_TOKEN'], fullName: 'acme/api' }),
+    /Set GITHUB_TOKEN or GH_TOKEN/
+  );
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeGitUrl, parseGitUrl } = require('../lib/git-url');
+
+test('parseGitUrl reads HTTPS URLs', () => {
+  const parsed = parseGitUrl('https://GitHub.com/owner/repo.git?tab=readme');
+  assert.strictEqual(parsed.protocol, 'https');
+  assert.strictEqual(parsed.host, 'github.com');
+  assert.strictEqual(parsed.owner, 'owner');
+  assert.strictEqual(parsed.repo, 'repo');
+  assert.strictEqual(parsed.url, 'https://GitHub.com/owner/repo.git');
+});
+
+test('parseGitUrl reads scp-style and ssh:// URLs', () => {
+  const scp = parseGitUrl('git@github.com:owner/repo.git');
+  assert.deepStrictEqual([scp.protocol, scp.user, scp.host, scp.owner, scp.repo], ['ssh', 'git', 'github.com', 'owner', 'repo']);
+
+  const ssh = parseGitUrl('ssh://git@gitlab.example.com:2222/group/sub/repo');
+  assert.deepStrictEqual([ssh.host, ssh.port, ssh.owner, ssh.repo], ['gitlab.example.com', 2222, 'group/sub', 'repo']);
+});
+
+test('parseGitUrl expands shorthand with the default host', () => {
+  assert.strictEqual(parseGitUrl('gl:group/repo').url, 'https://gitlab.com/group/repo.git');
+  assert.strictEqual(parseGitUrl('owner/repo').url, 'https://github.com/owner/repo.git');
+  assert.strictEqual(parseGitUrl('owner/repo', { defaultHost: 'git.example.com' }).host, 'git.example.com');
+});
+
+test('parseGitUrl keeps local paths and file:// URLs without a host', () => {
+  assert.strictEqual(parseGitUrl('/srv/git/repo.git').protocol, 'local');
+  assert.strictEqual(parseGitUrl('file:///srv/git/repo.git').host, null);
+});
+
+test('parseGitUrl rejects what is not a repository', () => {
+  ['', '   ', 'not a url', 'https://', 'ftp://host/repo', null].forEach((input) => {
+    assert.strictEqual(parseGitUrl(input), null, String(input));
+  });
+});
+
+test('normalizeGitUrl gives every way of writing a repository the same key', () => {
+  const keys = [
+    'https://github.com/Owner/Repo',
+    'https://github.com/owner/repo.git',
+    'git@github.com:owner/repo.git',
+    'ssh://git@github.com:22/owner/repo',
+    'gh:owner/repo',
+  ].map(url => normalizeGitUrl(url));
+  assert.deepStrictEqual(new Set(keys), new Set(['github.com/owner/repo']));
+});
+
+test('normalizeGitUrl treats local paths and file:// URLs alike', () => {
+  assert.strictEqual(normalizeGitUrl('/srv/git/repo.git'), normalizeGitUrl('file:///srv/git/repo'));
+  assert.strictEqual(normalizeGitUrl('not a url'), null);
+});
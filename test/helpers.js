@@ -0,0 +1,92 @@
+// Shared by the tests: temporary folders and git repositories to run against
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const BIN = path.join(__dirname, '..', 'bin', 'git-clone-select.js');
+
+// A temporary folder that is removed after the test `t`
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-clone-select-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Runs git in `cwd` with a fixed identity and returns its trimmed output
+function git(cwd, args, env = {}) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+    cwd,
+    encoding: 'utf8',
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  }).trim();
+}
+
+function commitFile(repoDir, file, content, env) {
+  fs.mkdirSync(path.dirname(path.join(repoDir, file)), { recursive: true });
+  fs.writeFileSync(path.join(repoDir, file), content);
+  git(repoDir, ['add', '--all'], env);
+  git(repoDir, ['commit', '--quiet', '-m', `Change ${file}`], env);
+}
+
+// A bare repository with one commit at `remoteDir`, and a clone of it at
+// `repoDir` tracking its default branch
+function makeClone(remoteDir, repoDir, env) {
+  const seed = `${remoteDir}.seed`;
+  fs.mkdirSync(seed, { recursive: true });
+  git(seed, ['init', '--quiet', '--initial-branch=main']);
+  commitFile(seed, 'README.md', '# repo\n', env);
+  git(path.dirname(seed), ['clone', '--quiet', '--bare', seed, remoteDir]);
+  fs.rmSync(seed, { recursive: true, force: true });
+  git(path.dirname(remoteDir), ['clone', '--quiet', remoteDir, repoDir]);
+  return repoDir;
+}
+
+// Puts a git in front of the real one for the test `t` that fails the git
+// command `subcommand` and runs every other one
+function failGitCommand(t, subcommand) {
+  const bin = tempDir(t);
+  const realGit = execFileSync('sh', ['-c', 'command -v git'], { encoding: 'utf8' }).trim();
+  const script = `#!/bin/sh\nif [ "$1" = ${subcommand} ]; then echo "fatal: ${subcommand} broke" >&2; exit 128; fi\nexec "${realGit}" "$@"\n`;
+  fs.writeFileSync(path.join(bin, 'git'), script, { mode: 0o755 });
+  withEnv(t, { PATH: `${bin}${path.delimiter}${process.env.PATH}` });
+}
+
+// Runs the CLI with a config whose projects directory is `projectsDir`
+function runCli(home, projectsDir, args) {
+  const configDir = path.join(home, '.config', 'git-clone-select');
+  fs.mkdirSync(configDir, { recursive: true });
+  fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({ version: 2, projectsDir }));
+  const env = { ...process.env, HOME: home, NO_COLOR: '1' };
+  delete env.XDG_CONFIG_HOME;
+  delete env.GIT_CLONE_PROJECTS_DIR;
+  return execFileSync(process.execPath, [BIN, ...args], { env, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+// Sets environment variables for the test `t`; undefined removes one
+function withEnv(t, values) {
+  const apply = settings => Object.entries(settings).forEach(([name, value]) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  });
+  const saved = {};
+  Object.keys(values).forEach((name) => {
+    saved[name] = process.env[name];
+  });
+  apply(values);
+  t.after(() => apply(saved));
+}
+
+module.exports = {
+  commitFile,
+  failGitCommand,
+  git,
+  makeClone,
+  runCli,
+  tempDir,
+  withEnv,
+};
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  appendHistory,
+  findPreviousClones,
+  readHistory,
+  recentClones,
+  recordCloneResult,
+  writeHistory,
+} = require('../lib/history');
+const { tempDir } = require('./helpers');
+
+test('readHistory returns no entries for a missing or broken file', (t) => {
+  const root = tempDir(t);
+  assert.deepStrictEqual(readHistory(path.join(root, 'missing.json')), []);
+
+  const broken = path.join(root, 'broken.json');
+  fs.writeFileSync(broken, '{"url":');
+  assert.deepStrictEqual(readHistory(broken), []);
+  fs.writeFileSync(broken, '{}');
+  assert.deepStrictEqual(readHistory(broken), []);
+});
+
+test('appendHistory adds an entry with a timestamp', (t) => {
+  const historyFile = path.join(tempDir(t), 'config', 'history.json');
+  appendHistory(historyFile, { url: 'https://github.com/owner/repo', path: '/p/repo', status: 'success' });
+
+  const [{ timestamp, ...entry }] = readHistory(historyFile);
+  assert.deepStrictEqual(entry, { url: 'https://github.com/owner/repo', path: '/p/repo', branch: null, status: 'success' });
+  assert.ok(!Number.isNaN(Date.parse(timestamp)));
+});
+
+test('writeHistory keeps only the newest 1000 entries', (t) => {
+  const historyFile = path.join(tempDir(t), 'history.json');
+  writeHistory(historyFile, Array.from({ length: 1005 }, (_, i) => ({ url: String(i), status: 'success' })));
+
+  const entries = readHistory(historyFile);
+  assert.strictEqual(entries.length, 1000);
+  assert.strictEqual(entries[0].url, '5');
+  assert.strictEqual(entries[999].url, '1004');
+});
+
+test('recordCloneResult records successes, failures and templates', (t) => {
+  const historyFile = path.join(tempDir(t), 'history.json');
+  recordCloneResult(historyFile, 'https://github.com/owner/a', '/p/a', { ok: true }, { branch: 'main' });
+  recordCloneResult(historyFile, 'https://github.com/owner/b', '/p/b', { ok: false, message: 'Repository not found' }, { branch: 'dev' });
+  recordCloneResult(historyFile, 'https://github.com/owner/tpl', '/p/new', { ok: true }, { template: true });
+
+  assert.deepStrictEqual(readHistory(historyFile).map(({ timestamp, ...entry }) => entry), [
+    { url: 'https://github.com/owner/a', path: '/p/a', branch: 'main', status: 'success' },
+    { url: 'https://github.com/owner/b', path: '/p/b', branch: 'dev', status: 'failed', error: 'Repository not found' },
+    { url: 'https://github.com/owner/tpl', path: '/p/new', branch: null, status: 'success', template: true },
+  ]);
+});
+
+test('findPreviousClones matches the same repository under any URL form, newest first', (t) => {
+  const root = tempDir(t);
+  const [first, second, gone, failed, created] = ['first', 'second', 'gone', 'failed', 'created'].map(name => path.join(root, name));
+  [first, second, failed, created].forEach(dir => fs.mkdirSync(dir));
+  const entries = [
+    { url: 'https://github.com/owner/repo', path: first, status: 'success' },
+    { url: 'git@github.com:Owner/Repo.git', path: second, status: 'success' },
+    { url: 'https://github.com/owner/repo', path: gone, status: 'success' },
+    { url: 'https://github.com/owner/repo', path: failed, status: 'failed' },
+    { url: 'https://github.com/owner/repo', path: created, status: 'success', template: true },
+    { url: 'https://github.com/owner/other', path: first, status: 'success' },
+    { url: 'https://github.com/owner/repo.git', path: first, status: 'success' },
+  ];
+
+  assert.deepStrictEqual(findPreviousClones(entries, 'https://github.com/owner/repo').map(entry => entry.path), [first, second]);
+  assert.deepStrictEqual(findPreviousClones(entries, 'not a url'), []);
+});
+
+test('recentClones lists distinct clones that still exist, newest first', (t) => {
+  const root = tempDir(t);
+  const [a, b, c] = ['a', 'b', 'c'].map(name => path.join(root, name));
+  [a, b, c].forEach(dir => fs.mkdirSync(dir));
+  const entries = [
+    { url: 'a', path: a, status: 'success' },
+    { url: 'b', path: b, status: 'success' },
+    { url: 'gone', path: path.join(root, 'gone'), status: 'success' },
+    { url: 'c', path: c, status: 'failed' },
+    { url: 'a', path: a, status: 'success' },
+  ];
+
+  assert.deepStrictEqual(recentClones(entries, 5).map(entry => entry.path), [a, b]);
+  assert.deepStrictEqual(recentClones(entries, 1).map(entry => entry.path), [a]);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { detectSetupSteps, runStep } = require('../lib/hooks');
+const { tempDir, withEnv } = require('./helpers');
+
+// A PATH holding only the given tools, as empty executables
+function withTools(t, tools) {
+  const bin = tempDir(t);
+  tools.forEach(tool => fs.writeFileSync(path.join(bin, tool), '', { mode: 0o755 }));
+  withEnv(t, { PATH: bin });
+}
+
+function touch(dir, files) {
+  files.forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+}
+
+test('detectSetupSteps uses the first match of each group', (t) => {
+  const dir = tempDir(t);
+  withTools(t, ['pnpm', 'npm', 'poetry', 'git']);
+  touch(dir, ['package.json', 'pnpm-lock.yaml', 'requirements.txt', 'poetry.lock', '.gitmodules']);
+
+  assert.deepStrictEqual(detectSetupSteps(dir), [
+    { name: 'pnpm install', reason: 'pnpm-lock.yaml', command: 'pnpm install', missing: false },
+    { name: 'poetry install', reason: 'poetry.lock', command: 'poetry install', missing: false },
+    { name: 'git submodule update --init --recursive', reason: '.gitmodules', command: 'git submodule update --init --recursive', missing: false },
+  ]);
+});
+
+test('detectSetupSteps marks steps whose tool is not installed', (t) => {
+  const dir = tempDir(t);
+  withTools(t, ['npm']);
+  touch(dir, ['package-lock.json', 'Cargo.toml']);
+
+  assert.deepStrictEqual(detectSetupSteps(dir).map(step => [step.command, step.missing]), [
+    ['npm install', false],
+    ['cargo fetch', true],
+  ]);
+});
+
+test('detectSetupSteps finds nothing in an empty clone', (t) => {
+  assert.deepStrictEqual(detectSetupSteps(tempDir(t)), []);
+});
+
+test('detectSetupSteps copies .env.example only when there is no .env', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, '.env.example'), 'TOKEN=\n');
+
+  const steps = detectSetupSteps(dir);
+  assert.deepStrictEqual(steps.map(step => step.name), ['cp .env.example .env']);
+  assert.deepStrictEqual(runStep(steps[0], dir), { ok: true });
+  assert.strictEqual(fs.readFileSync(path.join(dir, '.env'), 'utf8'), 'TOKEN=\n');
+
+  assert.deepStrictEqual(detectSetupSteps(dir), []);
+});
+
+test('runStep never overwrites an existing .env', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, '.env.example'), 'TOKEN=\n');
+  const [step] = detectSetupSteps(dir);
+  fs.writeFileSync(path.join(dir, '.env'), 'TOKEN=secret\n');
+
+  const result = runStep(step, dir);
+  assert.strictEqual(result.ok, false);
+  assert.match(result.message, /EEXIST/);
+  assert.strictEqual(fs.readFileSync(path.join(dir, '.env'), 'utf8'), 'TOKEN=secret\n');
+});
+
+test('runStep runs hooks through the shell in the clone with extra environment', (t) => {
+  const dir = tempDir(t);
+  const step = { name: 'hook', command: 'echo "$GCS_TEST_NAME" > name.txt && pwd > cwd.txt' };
+
+  assert.deepStrictEqual(runStep(step, dir, { GCS_TEST_NAME: 'repo' }, 'ignore'), { ok: true });
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'name.txt'), 'utf8'), 'repo\n');
+  assert.strictEqual(fs.realpathSync(fs.readFileSync(path.join(dir, 'cwd.txt'), 'utf8').trim()), fs.realpathSync(dir));
+});
+
+test('runStep reports the exit code of a failing command', (t) => {
+  assert.deepStrictEqual(runStep({ name: 'hook', command: 'exit 3' }, tempDir(t), {}, 'ignore'), {
+    ok: false,
+    message: 'exited with code 3',
+  });
+});
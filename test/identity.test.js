@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { cloneTransactional } = require('../lib/clone');
+const { applySshHost } = require('../lib/identity');
+const { findClonesOf } = require('../lib/scan');
+
+test('applySshHost keeps the real host in the URL and points git at the alias', () => {
+  assert.deepStrictEqual(applySshHost('https://github.com/acme/repo', 'github-work'), {
+    url: 'git@github.com:acme/repo.git',
+    gitConfig: [['url.git@github-work:acme/repo.git.insteadOf', 'git@github.com:acme/repo.git']],
+  });
+  assert.deepStrictEqual(applySshHost('deploy@github.com:acme/repo.git', 'github-work').gitConfig, [
+    ['url.deploy@github-work:acme/repo.git.insteadOf', 'deploy@github.com:acme/repo.git'],
+  ]);
+  assert.deepStrictEqual(applySshHost('/srv/repo.git', 'github-work'), { url: '/srv/repo.git', gitConfig: [] });
+  assert.deepStrictEqual(applySshHost('https://github.com/acme/repo', undefined).gitConfig, []);
+});
+
+// A clone over SSH, with a script standing in for ssh that records the host
+// it was asked for and runs git's command on a local repository instead
+test('a clone through an SSH alias is found as a clone of the real URL', { skip: process.platform === 'win32' }, async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-clone-select-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const serverDir = path.join(root, 'server');
+  const projectsDir = path.join(root, 'projects');
+  fs.mkdirSync(projectsDir);
+  execFileSync('git', ['init', '--quiet', '--bare', path.join(serverDir, 'acme', 'repo.git')]);
+
+  const log = path.join(root, 'ssh.log');
+  const fakeSsh = path.join(root, 'fake-ssh.js');
+  fs.writeFileSync(fakeSsh, `
+    const fs = require('fs');
+    const { spawnSync } = require('child_process');
+    const args = process.argv.slice(2);
+    // git asks whether this is OpenSSH first
+    if (args.includes('-G')) process.exit(0);
+    fs.appendFileSync(${JSON.stringify(log)}, args.slice(0, -1).join(' ') + '\\n');
+    const result = spawnSync('sh', ['-c', args[args.length - 1]], { cwd: ${JSON.stringify(serverDir)}, stdio: 'inherit' });
+    process.exit(result.status);
+  `);
+
+  const targetDir = path.join(projectsDir, 'repo');
+  const result = await cloneTransactional('https://example.com/acme/repo', targetDir, projectsDir, {
+    retries: 0,
+    clone: { identity: { sshHost: 'example-work', sshCommand: `"${process.execPath}" "${fakeSsh}"` } },
+  });
+  assert.ok(result.ok, result.message);
+  assert.match(fs.readFileSync(log, 'utf8'), /git@example-work\b/);
+
+  const origin = execFileSync('git', ['config', 'remote.origin.url'], { cwd: targetDir, encoding: 'utf8' }).trim();
+  assert.strictEqual(origin, 'git@example.com:acme/repo.git');
+  assert.deepStrictEqual(findClonesOf('https://example.com/acme/repo.git', projectsDir), [targetDir]);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { moveHistoryPaths, readHistory, writeHistory } = require('../lib/history');
+const { moveDirectory, updateWorkspaceFiles } = require('../lib/move');
+const { tempDir } = require('./helpers');
+
+function makeTree(dir) {
+  fs.mkdirSync(path.join(dir, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'README.md'), 'hello\n');
+  fs.writeFileSync(path.join(dir, 'src', 'index.js'), 'module.exports = 1;\n');
+}
+
+test('moveDirectory renames into missing parents', (t) => {
+  const root = tempDir(t);
+  const from = path.join(root, 'repo');
+  const to = path.join(root, 'owner', 'group', 'repo');
+  makeTree(from);
+
+  assert.deepStrictEqual(moveDirectory(from, to), { copied: false });
+  assert.strictEqual(fs.existsSync(from), false);
+  assert.strictEqual(fs.readFileSync(path.join(to, 'src', 'index.js'), 'utf8'), 'module.exports = 1;\n');
+});
+
+test('moveDirectory replaces an empty target folder', (t) => {
+  const root = tempDir(t);
+  const from = path.join(root, 'repo');
+  const to = path.join(root, 'moved');
+  makeTree(from);
+  fs.mkdirSync(to);
+
+  moveDirectory(from, to);
+  assert.strictEqual(fs.existsSync(from), false);
+  assert.strictEqual(fs.readFileSync(path.join(to, 'README.md'), 'utf8'), 'hello\n');
+});
+
+test('moveDirectory puts an empty target folder back when the move fails', (t) => {
+  const root = tempDir(t);
+  const to = path.join(root, 'moved');
+  fs.mkdirSync(to);
+
+  assert.throws(() => moveDirectory(path.join(root, 'missing'), to), { code: 'ENOENT' });
+  assert.deepStrictEqual(fs.readdirSync(to), []);
+});
+
+test('moveDirectory refuses a target that is not empty', (t) => {
+  const root = tempDir(t);
+  const from = path.join(root, 'repo');
+  const to = path.join(root, 'moved');
+  makeTree(from);
+  fs.mkdirSync(to);
+  fs.writeFileSync(path.join(to, 'keep'), '');
+
+  assert.throws(() => moveDirectory(from, to));
+  assert.ok(fs.existsSync(path.join(from, 'README.md')));
+  assert.deepStrictEqual(fs.readdirSync(to), ['keep']);
+});
+
+test('moveDirectory copies across devices and removes the original', (t) => {
+  const root = tempDir(t);
+  const from = path.join(root, 'repo');
+  const to = path.join(root, 'other', 'repo');
+  makeTree(from);
+  fs.symlinkSync('README.md', path.join(from, 'link'));
+  t.mock.method(fs, 'renameSync', () => {
+    throw Object.assign(new Error('cross-device link not permitted'), { code: 'EXDEV' });
+  });
+
+  assert.deepStrictEqual(moveDirectory(from, to), { copied: true });
+  assert.strictEqual(fs.existsSync(from), false);
+  assert.strictEqual(fs.readFileSync(path.join(to, 'src', 'index.js'), 'utf8'), 'module.exports = 1;\n');
+  assert.strictEqual(fs.readlinkSync(path.join(to, 'link')), 'README.md');
+});
+
+test('moveDirectory keeps the original when a copy fails and restores the empty target', (t) => {
+  const root = tempDir(t);
+  const from = path.join(root, 'repo');
+  const to = path.join(root, 'moved');
+  makeTree(from);
+  fs.mkdirSync(to);
+  t.mock.method(fs, 'renameSync', () => {
+    throw Object.assign(new Error('cross-device link not permitted'), { code: 'EXDEV' });
+  });
+  t.mock.method(fs, 'copyFileSync', () => {
+    throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+  });
+
+  assert.throws(() => moveDirectory(from, to), /no space left/);
+  assert.ok(fs.existsSync(path.join(from, 'src', 'index.js')));
+  assert.deepStrictEqual(fs.readdirSync(to), []);
+});
+
+test('moveHistoryPaths rewrites the moved folder and everything below it', (t) => {
+  const root = tempDir(t);
+  const historyFile = path.join(root, 'history.json');
+  const from = path.join(root, 'old');
+  const to = path.join(root, 'new');
+  writeHistory(historyFile, [
+    { url: 'a', path: from, status: 'success' },
+    { url: 'b', path: path.join(from, 'nested'), status: 'success' },
+    { url: 'c', path: `${from}-sibling`, status: 'success' },
+    { url: 'd', status: 'failed' },
+  ]);
+
+  assert.strictEqual(moveHistoryPaths(historyFile, from, to), 2);
+  assert.deepStrictEqual(readHistory(historyFile).map(entry => entry.path), [
+    to,
+    path.join(to, 'nested'),
+    `${from}-sibling`,
+    undefined,
+  ]);
+});
+
+test('moveHistoryPaths leaves the file alone when nothing matches', (t) => {
+  const historyFile = path.join(tempDir(t), 'history.json');
+  assert.strictEqual(moveHistoryPaths(historyFile, '/nowhere', '/elsewhere'), 0);
+  assert.strictEqual(fs.existsSync(historyFile), false);
+});
+
+test('updateWorkspaceFiles points absolute and relative folders at the new location', (t) => {
+  const root = tempDir(t);
+  const from = path.join(root, 'owner', 'repo');
+  const to = path.join(root, 'other', 'repo');
+  const file = path.join(root, 'team.code-workspace');
+  fs.writeFileSync(file, JSON.stringify({
+    folders: [
+      { path: 'owner/repo' },
+      { path: path.join(from, 'packages', 'app') },
+      { path: 'owner/unrelated' },
+    ],
+    settings: { 'editor.tabSize': 2 },
+  }, null, '\t'));
+
+  assert.deepStrictEqual(updateWorkspaceFiles(root, from, to), { updated: [file], skipped: [] });
+  const content = fs.readFileSync(file, 'utf8');
+  assert.ok(content.includes('\n\t"folders"'));
+  assert.deepStrictEqual(JSON.parse(content), {
+    folders: [
+      { path: path.join('other', 'repo') },
+      { path: path.join(to, 'packages', 'app') },
+      { path: 'owner/unrelated' },
+    ],
+    settings: { 'editor.tabSize': 2 },
+  });
+});
+
+test('updateWorkspaceFiles skips files with comments and those that moved along', (t) => {
+  const root = tempDir(t);
+  const from = path.join(root, 'owner', 'repo');
+  const to = path.join(root, 'other', 'repo');
+  const commented = path.join(root, 'commented.code-workspace');
+  const inside = path.join(to, 'repo.code-workspace');
+  const commentedContent = '// mine\n{ "folders": [{ "path": "owner/repo" }] }\n';
+  const insideContent = JSON.stringify({ folders: [{ path: '.' }] });
+  fs.writeFileSync(commented, commentedContent);
+  fs.mkdirSync(to, { recursive: true });
+  fs.writeFileSync(inside, insideContent);
+
+  assert.deepStrictEqual(updateWorkspaceFiles(root, from, to), { updated: [], skipped: [commented] });
+  assert.strictEqual(fs.readFileSync(commented, 'utf8'), commentedContent);
+  assert.strictEqual(fs.readFileSync(inside, 'utf8'), insideContent);
+});
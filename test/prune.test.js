@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { archiveRepository, inspectRepository } = require('../lib/prune');
+const { commitFile, failGitCommand, git, makeClone, runCli, tempDir } = require('./helpers');
+
+const OLD = '2020-01-01T00:00:00Z';
+
+// A clone whose last commit and checkout are years old
+function makeStaleClone(root, name) {
+  const repoDir = makeClone(path.join(root, 'remotes', `${name}.git`), path.join(root, 'projects', name), {
+    GIT_AUTHOR_DATE: OLD,
+    GIT_COMMITTER_DATE: OLD,
+  });
+  const old = new Date(OLD);
+  fs.utimesSync(path.join(repoDir, '.git', 'logs', 'HEAD'), old, old);
+  return repoDir;
+}
+
+test('inspectRepository finds nothing to keep in a pushed, clean clone', async (t) => {
+  const repoDir = makeStaleClone(tempDir(t), 'repo');
+  const repo = await inspectRepository(repoDir);
+  assert.deepStrictEqual(repo.blockers, []);
+  assert.strictEqual(repo.unpushed, 0);
+  assert.strictEqual(repo.lastActivity, new Date(OLD).toISOString());
+});
+
+test('inspectRepository keeps repositories with local work', async (t) => {
+  const root = tempDir(t);
+
+  const dirty = makeStaleClone(root, 'dirty');
+  fs.writeFileSync(path.join(dirty, 'README.md'), 'changed\n');
+
+  const unpushed = makeStaleClone(root, 'unpushed');
+  commitFile(unpushed, 'a.txt', 'a\n');
+  commitFile(unpushed, 'b.txt', 'b\n');
+
+  const stashed = makeStaleClone(root, 'stashed');
+  fs.writeFileSync(path.join(stashed, 'README.md'), 'stashed\n');
+  git(stashed, ['stash', '--quiet']);
+
+  // A branch that was never pushed has no upstream to compare with
+  const branch = makeStaleClone(root, 'branch');
+  git(branch, ['checkout', '--quiet', '-b', 'feature']);
+  commitFile(branch, 'feature.txt', 'feature\n');
+
+  const blockers = await Promise.all([dirty, unpushed, stashed, branch].map(async repoDir => (await inspectRepository(repoDir)).blockers));
+  assert.deepStrictEqual(blockers, [
+    ['uncommitted changes'],
+    ['2 unpushed commits'],
+    ['1 stash'],
+    ['1 unpushed commit'],
+  ]);
+});
+
+test('inspectRepository keeps a repository whose status cannot be read', async (t) => {
+  const repoDir = makeStaleClone(tempDir(t), 'repo');
+  failGitCommand(t, 'status');
+
+  const repo = await inspectRepository(repoDir);
+  assert.strictEqual(repo.changes, null);
+  assert.deepStrictEqual(repo.blockers, ['could not check for uncommitted changes']);
+});
+
+test('archiveRepository keeps a mirror at the same relative path', (t) => {
+  const root = tempDir(t);
+  const archiveDir = path.join(root, 'projects', '.archive');
+  const repoDir = makeStaleClone(root, 'repo');
+
+  const archive = archiveRepository(repoDir, 'github.com/owner/repo', archiveDir, 'mirror');
+  assert.strictEqual(archive, path.join(archiveDir, 'github.com', 'owner', 'repo.git'));
+  assert.strictEqual(fs.existsSync(repoDir), false);
+  assert.strictEqual(git(archive, ['config', 'remote.origin.mirror']), 'true');
+  assert.strictEqual(git(archive, ['log', '-1', '--format=%s']), 'Change README.md');
+
+  // A second archive of the same path doesn't overwrite the first
+  const again = makeStaleClone(root, 'again');
+  assert.strictEqual(archiveRepository(again, 'github.com/owner/repo', archiveDir, 'mirror'), path.join(archiveDir, 'github.com', 'owner', 'repo-2.git'));
+});
+
+test('archiveRepository writes a tarball of the working copy', (t) => {
+  const root = tempDir(t);
+  const repoDir = makeStaleClone(root, 'repo');
+  const archive = archiveRepository(repoDir, 'repo', path.join(root, 'archive'), 'tar');
+
+  assert.strictEqual(archive, path.join(root, 'archive', 'repo.tar.gz'));
+  assert.strictEqual(fs.existsSync(repoDir), false);
+  assert.ok(execFileSync('tar', ['-tzf', archive], { encoding: 'utf8' }).split('\n').includes('repo/README.md'));
+  assert.throws(() => archiveRepository(root, 'x', root, 'zip'), /Unknown archive format/);
+});
+
+test('prune only reports unless asked to delete', { skip: process.platform === 'win32' }, (t) => {
+  const root = tempDir(t);
+  const projectsDir = path.join(root, 'projects');
+  const stale = makeStaleClone(root, 'stale');
+  const dirty = makeStaleClone(root, 'dirty');
+  fs.writeFileSync(path.join(dirty, 'new.txt'), 'new\n');
+
+  assert.match(runCli(root, projectsDir, ['prune', '--stale', '1y', '--delete', '--dry-run']), /Dry run: nothing was changed/);
+  assert.match(runCli(root, projectsDir, ['prune', '--stale', '1y']), /1 can be pruned/);
+  assert.ok(fs.existsSync(stale));
+
+  runCli(root, projectsDir, ['prune', '--stale', '1y', '--delete', '--yes']);
+  assert.strictEqual(fs.existsSync(stale), false);
+  assert.ok(fs.existsSync(dirty));
+});
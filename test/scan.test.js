@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { findClonesOf, findRepositories, readRemotes, scanRepositories } = require('../lib/scan');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-clone-select-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function makeRepository(dir, origin) {
+  fs.mkdirSync(dir, { recursive: true });
+  execFileSync('git', ['init', '--quiet'], { cwd: dir });
+  if (origin) {
+    execFileSync('git', ['remote', 'add', 'origin', origin], { cwd: dir });
+  }
+  return dir;
+}
+
+test('findRepositories finds clones under owners named like build folders', (t) => {
+  const root = tempDir(t);
+  const repos = [
+    makeRepository(path.join(root, 'github.com', 'target', 'app')),
+    makeRepository(path.join(root, 'build')),
+    makeRepository(path.join(root, 'vendor', 'lib')),
+  ];
+  // Nested repositories and dependency folders aren't walked
+  makeRepository(path.join(root, 'build', 'nested'));
+  makeRepository(path.join(root, 'node_modules', 'dep'));
+  makeRepository(path.join(root, '.hidden', 'repo'));
+
+  assert.deepStrictEqual(findRepositories(root).sort(), repos.sort());
+});
+
+test('findRepositories stops at maxDepth, and 0 turns the walk off', (t) => {
+  const root = tempDir(t);
+  const shallow = makeRepository(path.join(root, 'a', 'repo'));
+  makeRepository(path.join(root, 'a', 'b', 'c', 'repo'));
+
+  assert.deepStrictEqual(findRepositories(root, { maxDepth: 2 }), [shallow]);
+  assert.deepStrictEqual(findRepositories(root, { maxDepth: 0 }), []);
+});
+
+test('readRemotes reads every remote of a working copy', (t) => {
+  const repo = makeRepository(path.join(tempDir(t), 'repo'), 'git@github.com:owner/repo.git');
+  execFileSync('git', ['remote', 'add', 'upstream', 'https://github.com/upstream/repo'], { cwd: repo });
+
+  assert.deepStrictEqual(readRemotes(repo), {
+    origin: 'git@github.com:owner/repo.git',
+    upstream: 'https://github.com/upstream/repo',
+  });
+});
+
+test('findClonesOf matches any way of writing the URL', (t) => {
+  const root = tempDir(t);
+  const clone = makeRepository(path.join(root, 'target', 'repo'), 'git@github.com:Target/Repo.git');
+  makeRepository(path.join(root, 'other'), 'https://github.com/target/other.git');
+
+  assert.deepStrictEqual(findClonesOf('https://github.com/target/repo', root), [clone]);
+  assert.deepStrictEqual(findClonesOf('gh:target/missing', root), []);
+});
+
+test('scanRepositories reuses its cache until asked to refresh', (t) => {
+  const root = tempDir(t);
+  const cacheFile = path.join(tempDir(t), 'scan-cache.json');
+  makeRepository(path.join(root, 'one'));
+
+  assert.strictEqual(scanRepositories(root, { cacheFile }).length, 1);
+  makeRepository(path.join(root, 'two'));
+  assert.strictEqual(scanRepositories(root, { cacheFile }).length, 1);
+  assert.strictEqual(scanRepositories(root, { cacheFile, refresh: true }).length, 2);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { cloneTransactional, hasActiveClones } = require('../lib/clone');
+const { commitClone, discardClone, prepareClone } = require('../lib/staging');
+const { makeClone, tempDir, withEnv } = require('./helpers');
+
+test('prepareClone creates missing parents and a hidden folder beside the target', (t) => {
+  const root = tempDir(t);
+  const targetDir = path.join(root, 'a', 'b', 'repo');
+  const staging = prepareClone(targetDir);
+
+  assert.deepStrictEqual(staging.created, [path.join(root, 'a'), path.join(root, 'a', 'b')]);
+  assert.strictEqual(path.dirname(staging.tempDir), path.dirname(targetDir));
+  assert.match(path.basename(staging.tempDir), /^\.repo\.clone-/);
+  assert.strictEqual(fs.existsSync(targetDir), false);
+});
+
+test('prepareClone refuses a target that is not empty', (t) => {
+  const targetDir = path.join(tempDir(t), 'repo');
+  fs.mkdirSync(targetDir);
+  fs.writeFileSync(path.join(targetDir, 'file'), '');
+  assert.throws(() => prepareClone(targetDir), /already exists and is not an empty directory/);
+});
+
+test('discardClone removes only the folders the clone created', (t) => {
+  const root = tempDir(t);
+  fs.mkdirSync(path.join(root, 'existing'));
+  const staging = prepareClone(path.join(root, 'existing', 'new', 'deeper', 'repo'));
+  fs.writeFileSync(path.join(staging.tempDir, 'partial'), '');
+
+  const result = discardClone(staging);
+  assert.strictEqual(result.partial, staging.tempDir);
+  assert.deepStrictEqual(result.removed, [path.join(root, 'existing', 'new', 'deeper'), path.join(root, 'existing', 'new')]);
+  assert.deepStrictEqual(fs.readdirSync(path.join(root, 'existing')), []);
+  // Discarding again changes nothing
+  assert.strictEqual(discardClone(staging), result);
+});
+
+test('discardClone keeps a created folder that something else was put into', (t) => {
+  const root = tempDir(t);
+  const staging = prepareClone(path.join(root, 'new', 'repo'));
+  fs.writeFileSync(path.join(root, 'new', 'other'), '');
+
+  const result = discardClone(staging);
+  assert.deepStrictEqual(result.kept, [path.join(root, 'new')]);
+  assert.deepStrictEqual(fs.readdirSync(path.join(root, 'new')), ['other']);
+});
+
+test('commitClone moves the clone into place, replacing an empty folder', (t) => {
+  const root = tempDir(t);
+  const targetDir = path.join(root, 'repo');
+  fs.mkdirSync(targetDir);
+  const staging = prepareClone(targetDir);
+  fs.writeFileSync(path.join(staging.tempDir, 'file'), '');
+
+  commitClone(staging);
+  assert.deepStrictEqual(fs.readdirSync(root), ['repo']);
+  assert.deepStrictEqual(fs.readdirSync(targetDir), ['file']);
+  // mkdtemp's private mode doesn't carry over
+  if (process.platform !== 'win32') {
+    assert.strictEqual(fs.statSync(targetDir).mode & 0o777, 0o777 & ~process.umask());
+  }
+  assert.deepStrictEqual(discardClone(staging), { partial: null, removed: [], kept: [] });
+});
+
+test('cloneTransactional leaves only the clone behind', async (t) => {
+  const root = tempDir(t);
+  const remote = path.join(root, 'remote.git');
+  makeClone(remote, path.join(root, 'seed'));
+  const projectsDir = path.join(root, 'projects');
+  fs.mkdirSync(projectsDir);
+
+  const result = await cloneTransactional(remote, path.join(projectsDir, 'owner', 'repo'), projectsDir, { retries: 0 });
+  assert.ok(result.ok, result.message);
+  assert.deepStrictEqual(fs.readdirSync(projectsDir), ['owner']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(projectsDir, 'owner')), ['repo']);
+});
+
+test('a failed clone removes what it created and keeps what was there', async (t) => {
+  const root = tempDir(t);
+  const projectsDir = path.join(root, 'projects');
+  fs.mkdirSync(path.join(projectsDir, 'existing'), { recursive: true });
+
+  const result = await cloneTransactional(path.join(root, 'missing.git'), path.join(projectsDir, 'existing', 'new', 'repo'), projectsDir, { retries: 0 });
+  assert.strictEqual(result.ok, false);
+  assert.deepStrictEqual(result.cleanup.removed, [path.join(projectsDir, 'existing', 'new')]);
+  assert.deepStrictEqual(fs.readdirSync(projectsDir), ['existing']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(projectsDir, 'existing')), []);
+});
+
+test('a clone whose git cannot be started fails and cleans up', async (t) => {
+  const root = tempDir(t);
+  const projectsDir = path.join(root, 'projects');
+  fs.mkdirSync(projectsDir);
+  withEnv(t, { PATH: path.join(root, 'no-bin') });
+
+  const result = await cloneTransactional(path.join(root, 'remote.git'), path.join(projectsDir, 'owner', 'repo'), projectsDir, { retries: 0 });
+  assert.strictEqual(result.ok, false);
+  assert.match(result.message, /ENOENT/);
+  assert.deepStrictEqual(fs.readdirSync(projectsDir), []);
+  assert.strictEqual(hasActiveClones(), false);
+});
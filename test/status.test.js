@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseDuration, repositoryStatus } = require('../lib/status');
+const { commitFile, failGitCommand, git, makeClone, runCli, tempDir } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('parseDuration reads days, weeks, months and years', () => {
+  assert.strictEqual(parseDuration('90d'), 90 * DAY_MS);
+  assert.strictEqual(parseDuration('2w'), 14 * DAY_MS);
+  assert.strictEqual(parseDuration('6M'), 180 * DAY_MS);
+  assert.strictEqual(parseDuration(' 1 y '), 365 * DAY_MS);
+  assert.strictEqual(parseDuration('0d'), 0);
+});
+
+test('parseDuration returns null for anything else', () => {
+  ['', '90', 'd', '-1d', '1.5w', '3h', 'soon'].forEach((text) => {
+    assert.strictEqual(parseDuration(text), null, text);
+  });
+});
+
+test('repositoryStatus reports a clean clone that matches its upstream', async (t) => {
+  const root = tempDir(t);
+  const repoDir = makeClone(path.join(root, 'remote.git'), path.join(root, 'repo'));
+
+  const status = await repositoryStatus(repoDir);
+  assert.strictEqual(status.path, repoDir);
+  assert.strictEqual(status.branch, 'main');
+  assert.strictEqual(status.changes, 0);
+  assert.strictEqual(status.ahead, 0);
+  assert.strictEqual(status.behind, 0);
+  assert.strictEqual(status.stashes, 0);
+  assert.ok(Date.now() - new Date(status.lastCommit).getTime() < DAY_MS);
+});
+
+test('repositoryStatus counts changes, stashes and commits on either side', async (t) => {
+  const root = tempDir(t);
+  const remote = path.join(root, 'remote.git');
+  const repoDir = makeClone(remote, path.join(root, 'repo'));
+  const other = path.join(root, 'other');
+  git(root, ['clone', '--quiet', remote, other]);
+  commitFile(other, 'theirs.txt', 'theirs\n');
+  git(other, ['push', '--quiet', 'origin', 'main']);
+
+  commitFile(repoDir, 'a.txt', 'a\n');
+  commitFile(repoDir, 'b.txt', 'b\n');
+  git(repoDir, ['fetch', '--quiet']);
+  fs.writeFileSync(path.join(repoDir, 'README.md'), 'stashed\n');
+  git(repoDir, ['stash', '--quiet']);
+  fs.writeFileSync(path.join(repoDir, 'README.md'), 'changed\n');
+  fs.writeFileSync(path.join(repoDir, 'new.txt'), 'new\n');
+
+  const status = await repositoryStatus(repoDir);
+  assert.strictEqual(status.changes, 2);
+  assert.strictEqual(status.ahead, 2);
+  assert.strictEqual(status.behind, 1);
+  assert.strictEqual(status.stashes, 1);
+});
+
+test('repositoryStatus has no ahead/behind counts without an upstream', async (t) => {
+  const root = tempDir(t);
+  const repoDir = makeClone(path.join(root, 'remote.git'), path.join(root, 'repo'));
+  git(repoDir, ['checkout', '--quiet', '-b', 'feature']);
+
+  const status = await repositoryStatus(repoDir);
+  assert.strictEqual(status.branch, 'feature');
+  assert.strictEqual(status.ahead, null);
+  assert.strictEqual(status.behind, null);
+});
+
+test('repositoryStatus handles a repository without commits', async (t) => {
+  const repoDir = tempDir(t);
+  git(repoDir, ['init', '--quiet']);
+
+  const status = await repositoryStatus(repoDir);
+  assert.strictEqual(status.branch, null);
+  assert.strictEqual(status.lastCommit, null);
+  assert.strictEqual(status.ahead, null);
+});
+
+test('repositoryStatus does not report a clone as clean when git status fails', async (t) => {
+  const root = tempDir(t);
+  const repoDir = makeClone(path.join(root, 'remote.git'), path.join(root, 'repo'));
+  failGitCommand(t, 'status');
+
+  assert.strictEqual((await repositoryStatus(repoDir)).changes, null);
+});
+
+test('status --stale and --dirty filter the repositories listed', (t) => {
+  const root = tempDir(t);
+  const projectsDir = path.join(root, 'projects');
+  const old = '2020-01-01T00:00:00Z';
+  makeClone(path.join(root, 'remotes', 'old.git'), path.join(projectsDir, 'old'), { GIT_AUTHOR_DATE: old, GIT_COMMITTER_DATE: old });
+  const fresh = makeClone(path.join(root, 'remotes', 'fresh.git'), path.join(projectsDir, 'fresh'));
+  fs.writeFileSync(path.join(fresh, 'new.txt'), 'new\n');
+
+  const listed = args => JSON.parse(runCli(root, projectsDir, ['status', '--json', ...args])).repositories.map(repo => repo.path);
+  assert.deepStrictEqual(listed([]), ['fresh', 'old']);
+  assert.deepStrictEqual(listed(['--stale', '0d']), ['fresh', 'old']);
+  assert.deepStrictEqual(listed(['--stale', '1y']), ['old']);
+  assert.deepStrictEqual(listed(['--dirty']), ['fresh']);
+});
+
+test('status rejects a --stale value that is not a duration', (t) => {
+  const root = tempDir(t);
+  assert.throws(() => runCli(root, path.join(root, 'projects'), ['status', '--stale', 'soon']), (err) => {
+    assert.strictEqual(err.status, 2);
+    assert.match(err.stdout, /--stale expects a duration/);
+    return true;
+  });
+});
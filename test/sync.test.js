@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { defaultBranch, syncRepository } = require('../lib/sync');
+const { commitFile, failGitCommand, git, makeClone, tempDir } = require('./helpers');
+
+// A clone at `repo` and a second clone at `other` to push changes from
+function setup(t) {
+  const root = tempDir(t);
+  const remote = path.join(root, 'remote.git');
+  const repo = makeClone(remote, path.join(root, 'repo'));
+  const other = path.join(root, 'other');
+  git(root, ['clone', '--quiet', remote, other]);
+  return { remote, repo, other };
+}
+
+function pushChange(other, file) {
+  commitFile(other, file, `${file}\n`);
+  git(other, ['push', '--quiet', 'origin', 'main']);
+}
+
+test('defaultBranch reads origin/HEAD', async (t) => {
+  const { repo } = setup(t);
+  assert.strictEqual(await defaultBranch(repo), 'main');
+});
+
+test('syncRepository fast-forwards a clean default branch', async (t) => {
+  const { repo, other } = setup(t);
+  pushChange(other, 'a.txt');
+  pushChange(other, 'b.txt');
+
+  const result = await syncRepository(repo);
+  assert.deepStrictEqual(result, { status: 'updated', branch: 'main', ahead: 0, behind: 2, message: 'fast-forwarded 2 commits' });
+  assert.ok(fs.existsSync(path.join(repo, 'b.txt')));
+});
+
+test('syncRepository reports a clone that is up to date', async (t) => {
+  const { repo } = setup(t);
+  const result = await syncRepository(repo);
+  assert.strictEqual(result.status, 'up-to-date');
+});
+
+test('syncRepository only fetches when there are local changes', async (t) => {
+  const { repo, other } = setup(t);
+  pushChange(other, 'a.txt');
+  fs.writeFileSync(path.join(repo, 'README.md'), 'edited\n');
+
+  const result = await syncRepository(repo);
+  assert.strictEqual(result.status, 'dirty');
+  assert.strictEqual(fs.existsSync(path.join(repo, 'a.txt')), false);
+  assert.strictEqual(git(repo, ['rev-parse', 'origin/main']), git(other, ['rev-parse', 'HEAD']));
+});
+
+test('syncRepository leaves other branches checked out alone', async (t) => {
+  const { repo, other } = setup(t);
+  pushChange(other, 'a.txt');
+  git(repo, ['checkout', '--quiet', '-b', 'feature']);
+
+  const result = await syncRepository(repo);
+  assert.deepStrictEqual(result, { status: 'fetched', branch: 'feature', message: 'on feature, not main' });
+  assert.strictEqual(fs.existsSync(path.join(repo, 'a.txt')), false);
+});
+
+test('syncRepository does not merge local commits', async (t) => {
+  const { repo, other } = setup(t);
+  commitFile(repo, 'local.txt', 'local\n');
+  assert.strictEqual((await syncRepository(repo)).status, 'ahead');
+
+  pushChange(other, 'a.txt');
+  const result = await syncRepository(repo);
+  assert.strictEqual(result.status, 'diverged');
+  assert.strictEqual(result.message, '1 ahead, 1 behind origin/main');
+  assert.strictEqual(fs.existsSync(path.join(repo, 'a.txt')), false);
+});
+
+test('syncRepository reports a remote that is gone as removed', async (t) => {
+  const { remote, repo } = setup(t);
+  fs.rmSync(remote, { recursive: true, force: true });
+
+  const result = await syncRepository(repo);
+  assert.strictEqual(result.status, 'removed');
+});
+
+test('syncRepository fails instead of treating a broken status as clean', async (t) => {
+  const { repo, other } = setup(t);
+  pushChange(other, 'a.txt');
+  failGitCommand(t, 'status');
+
+  const result = await syncRepository(repo);
+  assert.deepStrictEqual(result, { status: 'failed', branch: 'main', message: 'fatal: status broke' });
+  assert.strictEqual(fs.existsSync(path.join(repo, 'a.txt')), false);
+});
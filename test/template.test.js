@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { cloneTransactional } = require('../lib/clone');
+const { TemplateError, checkGitIdentity, createFromTemplate } = require('../lib/template');
+
+// A repository with one commit, standing in for a cloned template, and a
+// HOME without any git identity
+function cloneTemplate(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'git-clone-select-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  const env = {
+    HOME: root,
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_AUTHOR_NAME: undefined,
+    GIT_AUTHOR_EMAIL: undefined,
+    GIT_COMMITTER_NAME: undefined,
+    GIT_COMMITTER_EMAIL: undefined,
+    EMAIL: undefined,
+  };
+  const setEnv = values => Object.entries(values).forEach(([name, value]) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  });
+  const saved = {};
+  Object.keys(env).forEach((name) => {
+    saved[name] = process.env[name];
+  });
+  setEnv(env);
+  t.after(() => setEnv(saved));
+
+  const dir = path.join(root, 'my-app');
+  fs.mkdirSync(path.join(dir, 'src', '{{name}}'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'README.md'), '# {{ name }}\n\n{{unknown}}\n');
+  fs.writeFileSync(path.join(dir, 'src', '{{name}}', 'index.js'), "module.exports = '{{name}}';\n");
+  const git = args => execFileSync('git', ['-c', 'user.name=Template', '-c', 'user.email=template@example.com', ...args], { cwd: dir });
+  git(['init', '--quiet']);
+  git(['add', '--all']);
+  git(['commit', '--quiet', '-m', 'Template']);
+  return dir;
+}
+
+test('createFromTemplate fills in placeholders and starts a new history', (t) => {
+  const dir = cloneTemplate(t);
+  const created = createFromTemplate(dir, {
+    values: { name: 'my-app' },
+    message: 'Start',
+    gitConfig: [['user.name', 'Jane'], ['user.email', 'jane@example.com']],
+    origin: 'git@example.com:jane/my-app.git',
+  });
+
+  assert.deepStrictEqual([created.files, created.renamed], [2, 1]);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'README.md'), 'utf8'), '# my-app\n\n{{unknown}}\n');
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'src', 'my-app', 'index.js'), 'utf8'), "module.exports = 'my-app';\n");
+
+  const log = execFileSync('git', ['log', '--format=%an %s'], { cwd: dir, encoding: 'utf8' });
+  assert.strictEqual(log, 'Jane Start\n');
+  assert.strictEqual(execFileSync('git', ['remote', 'get-url', 'origin'], { cwd: dir, encoding: 'utf8' }).trim(), 'git@example.com:jane/my-app.git');
+});
+
+test('createFromTemplate leaves the clone alone when git has no identity', (t) => {
+  const dir = cloneTemplate(t);
+  const head = execFileSync('git', ['rev-parse', 'HEAD'], { cwd: dir, encoding: 'utf8' });
+
+  // Without this, git makes up an identity from the user and host names
+  assert.throws(() => createFromTemplate(dir, { values: { name: 'my-app' }, gitConfig: [['user.useConfigOnly', 'true']] }), TemplateError);
+  assert.strictEqual(execFileSync('git', ['rev-parse', 'HEAD'], { cwd: dir, encoding: 'utf8' }), head);
+  assert.ok(fs.existsSync(path.join(dir, 'src', '{{name}}')));
+});
+
+test('checkGitIdentity accepts an identity given as git config', (t) => {
+  const dir = cloneTemplate(t);
+  assert.throws(() => checkGitIdentity(dir, [['user.useConfigOnly', 'true']]), TemplateError);
+  checkGitIdentity(dir, [['user.useConfigOnly', 'true'], ['user.name', 'Jane'], ['user.email', 'jane@example.com']]);
+});
+
+test('a template step that fails before the clone is moved into place leaves nothing behind', async (t) => {
+  const template = cloneTemplate(t);
+  const projectsDir = path.dirname(template);
+  const targetDir = path.join(projectsDir, 'new', 'project');
+
+  const result = await cloneTransactional(template, targetDir, projectsDir, {
+    retries: 0,
+    beforeCommit: () => {
+      throw new TemplateError('Cannot rename');
+    },
+  });
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.message, 'Cannot rename');
+  assert.strictEqual(fs.existsSync(path.join(projectsDir, 'new')), false);
+
+  const created = await cloneTransactional(template, targetDir, projectsDir, {
+    retries: 0,
+    beforeCommit: dir => createFromTemplate(dir, { values: { name: 'project' }, gitConfig: [['user.name', 'Jane'], ['user.email', 'jane@example.com']] }),
+  });
+  assert.ok(created.ok, created.message);
+  assert.deepStrictEqual([created.prepared.files, created.prepared.renamed], [2, 1]);
+  assert.ok(fs.existsSync(path.join(targetDir, 'src', 'project', 'index.js')));
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('../lib/config');
+const {
+  DEFAULT_WORKSPACE,
+  applyLocalOverrides,
+  applyWorkspace,
+  expandHome,
+  findWorkspaceFor,
+  getDefaultWorkspace,
+  listWorkspaces,
+  loadConfig,
+} = require('../lib/workspace');
+const { tempDir, withEnv } = require('./helpers');
+
+const CONFIG = {
+  projectsDir: '/p',
+  layout: '{host}/{owner}/{repo}',
+  editor: 'code',
+  workspaces: {
+    work: { projectsDir: '/w', layout: '{repo}' },
+    broken: { layout: '{repo}' },
+  },
+};
+
+// A home directory with `config` as the user config
+function withHome(t, config) {
+  const home = tempDir(t);
+  withEnv(t, { HOME: home, USERPROFILE: home, XDG_CONFIG_HOME: undefined, GIT_CLONE_PROJECTS_DIR: undefined });
+  if (config) {
+    const configDir = path.join(home, '.config', 'git-clone-select');
+    fs.mkdirSync(configDir, { recursive: true });
+    fs.writeFileSync(path.join(configDir, 'config.json'), JSON.stringify({ version: 2, ...config }));
+  }
+  return home;
+}
+
+test('listWorkspaces has the top-level projectsDir as the default workspace', () => {
+  assert.deepStrictEqual(listWorkspaces(CONFIG), {
+    [DEFAULT_WORKSPACE]: { projectsDir: '/p' },
+    work: { projectsDir: '/w', layout: '{repo}' },
+  });
+  assert.deepStrictEqual(listWorkspaces({}), {});
+});
+
+test('getDefaultWorkspace prefers defaultWorkspace when it exists', () => {
+  assert.strictEqual(getDefaultWorkspace(CONFIG), DEFAULT_WORKSPACE);
+  assert.strictEqual(getDefaultWorkspace({ ...CONFIG, defaultWorkspace: 'work' }), 'work');
+  assert.strictEqual(getDefaultWorkspace({ ...CONFIG, defaultWorkspace: 'gone' }), DEFAULT_WORKSPACE);
+  assert.strictEqual(getDefaultWorkspace({ workspaces: CONFIG.workspaces }), 'work');
+  assert.strictEqual(getDefaultWorkspace({}), null);
+});
+
+test('applyWorkspace replaces top-level settings with the workspace ones', (t) => {
+  const home = withHome(t);
+  const config = applyWorkspace({ ...CONFIG, workspaces: { home: { projectsDir: '~/Code' } } }, 'home');
+  assert.strictEqual(config.workspace, 'home');
+  assert.strictEqual(config.projectsDir, path.join(home, 'Code'));
+  assert.strictEqual(config.layout, '{host}/{owner}/{repo}');
+
+  const work = applyWorkspace(CONFIG, 'work');
+  assert.strictEqual(work.layout, '{repo}');
+  assert.strictEqual(work.editor, 'code');
+  assert.strictEqual(applyWorkspace(CONFIG, 'missing'), CONFIG);
+});
+
+test('findWorkspaceFor finds the workspace whose folder holds a path', () => {
+  assert.strictEqual(findWorkspaceFor('/w/repo', CONFIG), 'work');
+  assert.strictEqual(findWorkspaceFor('/p/github.com/owner/repo', CONFIG), DEFAULT_WORKSPACE);
+  assert.strictEqual(findWorkspaceFor('/elsewhere/repo', CONFIG), null);
+});
+
+test('applyLocalOverrides lets a local file win', () => {
+  assert.strictEqual(applyLocalOverrides(CONFIG, null), CONFIG);
+  assert.strictEqual(applyLocalOverrides(CONFIG, { file: '/x/.git-clone-select.json', config: { layout: '{owner}/{repo}' } }).layout, '{owner}/{repo}');
+});
+
+test('expandHome only expands a leading ~', (t) => {
+  const home = withHome(t);
+  assert.strictEqual(expandHome('~'), home);
+  assert.strictEqual(expandHome('~/Projects'), path.join(home, 'Projects'));
+  assert.strictEqual(expandHome('~other/Projects'), '~other/Projects');
+  assert.strictEqual(expandHome('/a/~/b'), '/a/~/b');
+});
+
+test('loadConfig combines the user config, a workspace and a local file', (t) => {
+  const home = withHome(t, { ...CONFIG, projectsDir: '~/Projects', workspaces: { work: { projectsDir: '~/Work', layout: '{repo}' } } });
+  const cwd = path.join(home, 'Work', 'team');
+  fs.mkdirSync(cwd, { recursive: true });
+
+  assert.strictEqual(loadConfig({ cwd: home }).projectsDir, path.join(home, 'Projects'));
+
+  const work = loadConfig({ cwd: home, workspace: 'work' });
+  assert.strictEqual(work.projectsDir, path.join(home, 'Work'));
+  assert.strictEqual(work.config.workspace, 'work');
+
+  fs.writeFileSync(path.join(home, 'Work', '.git-clone-select.json'), JSON.stringify({ projectsDir: '.', layout: '{owner}/{repo}' }));
+  const local = loadConfig({ cwd });
+  assert.strictEqual(local.projectsDir, path.join(home, 'Work'));
+  assert.strictEqual(local.config.layout, '{owner}/{repo}');
+});
+
+test('loadConfig lets GIT_CLONE_PROJECTS_DIR win', (t) => {
+  const home = withHome(t, { projectsDir: '~/Projects' });
+  process.env.GIT_CLONE_PROJECTS_DIR = '~/Elsewhere';
+  assert.strictEqual(loadConfig({ cwd: home }).projectsDir, path.join(home, 'Elsewhere'));
+});
+
+test('loadConfig has no projects directory without a config', (t) => {
+  const home = withHome(t);
+  assert.strictEqual(loadConfig({ cwd: home }).projectsDir, null);
+});
+
+test('loadConfig rejects an unknown workspace', (t) => {
+  const home = withHome(t, { projectsDir: '/p', workspaces: { work: { projectsDir: '/w' } } });
+  assert.throws(() => loadConfig({ cwd: home, workspace: 'gone' }), (err) => {
+    assert.ok(err instanceof ConfigError);
+    assert.strictEqual(err.message, 'Unknown workspace "gone". Available: default, work');
+    return true;
+  });
+});